@@ -0,0 +1,498 @@
+// @ts-check
+
+import { EntityType } from "./EntityHandle.js";
+import { ComponentEmpty, ComponentSchema, ComponentStandard, FIELD_TYPES } from "./ComponentStore.js";
+
+/**
+ * @import {EntityHandle, EntityID} from './EntityHandle.js'
+ * @import {Column, ComponentSchemaDef, SchemaComponentConstructor, FieldType, StoreSnapshot, ComponentStore} from './ComponentStore.js'
+ * @import {ComponentTypeInfo} from './ComponentTypes.js'
+ * @import {EntityStoreRaw, EntityStoreSnapshot} from './EntityStore.js'
+ */
+
+/** @typedef {Uint32Array | BigUint64Array} IdArray */
+
+/**
+ * @typedef {object} BinaryStoreEntry
+ * @property {ComponentTypeInfo} info - Registerd info of the component type
+ * @property {ComponentStore} store - The component store
+ */
+
+/**
+ * @typedef {object} DecodedRegistry
+ * @property {EntityStoreSnapshot} entities - Snapshot of the Entity Store
+ * @property {Record<string, StoreSnapshot>} components - Snapshot of each Component Store with the components already decoded
+ * @property {Record<string, unknown>} ctx - Serialized context resources keyed by the registerd name of the type
+ */
+
+/** @constant MAGIC - Magic number at the start of the format ("AALM") */
+const MAGIC = 0x4D4C4141;
+
+/** @constant FORMAT_VERSION - Version of the binary format (2 writes the field count of a schema as u16, 3 adds the context resources) */
+const FORMAT_VERSION = 3;
+
+/** @constant MAX_SCHEMA_FIELDS - Most fields a Schema Component can have to be encoded */
+const MAX_SCHEMA_FIELDS = 0xFFFF;
+
+/** @constant DEFAULT_WRITER_SIZE - Initial size of the buffer of a writer */
+const DEFAULT_WRITER_SIZE = 1024;
+
+/** @constant ENCODING_JSON - Standard Components encoded as a JSON string of their serialized values */
+const ENCODING_JSON = 0;
+
+/** @constant ENCODING_CUSTOM - Standard Components encoded with the encoder of the type */
+const ENCODING_CUSTOM = 1;
+
+/**
+ * @class
+ * @classdesc Writer to encode values to a growable ArrayBuffer (little endian)
+ * @author Bhaumik Talwar
+ */
+export class BinaryWriter {
+
+    /** @type {ArrayBuffer} Buffer being written */
+    #buffer;
+
+    /** @type {DataView} View to write the values */
+    #view;
+
+    /** @type {number} Position to write the next value at */
+    #offset = 0;
+
+    /**
+     * Constructor for the Binary Writer
+     * @param {number} [size] Initial size of the buffer
+     */
+    constructor(size = DEFAULT_WRITER_SIZE) {
+        this.#buffer = new ArrayBuffer(Math.max(size, 8));
+        this.#view = new DataView(this.#buffer);
+    }
+
+    /**
+     * Function to make sure the buffer can hold more bytes, grows by a factor of 2
+     * @param {number} bytes Number of bytes to be written
+     */
+    #ensure(bytes) {
+        const needed = this.#offset + bytes;
+        if (needed <= this.#buffer.byteLength) return;
+
+        let size = this.#buffer.byteLength * 2;
+        while (size < needed) size *= 2;
+
+        const bigger = new ArrayBuffer(size);
+        new Uint8Array(bigger).set(new Uint8Array(this.#buffer, 0, this.#offset));
+        this.#buffer = bigger;
+        this.#view = new DataView(bigger);
+    }
+
+    /**
+     * Function to write a unsigned 8 bit integer
+     * @param {number} value The value
+     */
+    u8(value) {
+        this.#ensure(1);
+        this.#view.setUint8(this.#offset, value);
+        this.#offset += 1;
+    }
+
+    /**
+     * Function to write a unsigned 16 bit integer
+     * @param {number} value The value
+     */
+    u16(value) {
+        this.#ensure(2);
+        this.#view.setUint16(this.#offset, value, true);
+        this.#offset += 2;
+    }
+
+    /**
+     * Function to write a unsigned 32 bit integer
+     * @param {number} value The value
+     */
+    u32(value) {
+        this.#ensure(4);
+        this.#view.setUint32(this.#offset, value, true);
+        this.#offset += 4;
+    }
+
+    /**
+     * Function to write a signed 32 bit integer
+     * @param {number} value The value
+     */
+    i32(value) {
+        this.#ensure(4);
+        this.#view.setInt32(this.#offset, value, true);
+        this.#offset += 4;
+    }
+
+    /**
+     * Function to write a 32 bit float
+     * @param {number} value The value
+     */
+    f32(value) {
+        this.#ensure(4);
+        this.#view.setFloat32(this.#offset, value, true);
+        this.#offset += 4;
+    }
+
+    /**
+     * Function to write a 64 bit float
+     * @param {number} value The value
+     */
+    f64(value) {
+        this.#ensure(8);
+        this.#view.setFloat64(this.#offset, value, true);
+        this.#offset += 8;
+    }
+
+    /**
+     * Function to write a unsigned 64 bit integer
+     * @param {bigint} value The value
+     */
+    u64(value) {
+        this.#ensure(8);
+        this.#view.setBigUint64(this.#offset, value, true);
+        this.#offset += 8;
+    }
+
+    /**
+     * Function to write a string as utf-8 prefixed by its byte length
+     * @param {string} value The value
+     */
+    string(value) {
+        const encoded = new globalThis.TextEncoder().encode(value);
+        this.u32(encoded.byteLength);
+        this.bytes(encoded);
+    }
+
+    /**
+     * Function to write the raw bytes of a typed array (no length prefix)
+     * @param {Column} array The typed array
+     */
+    bytes(array) {
+        this.#ensure(array.byteLength);
+        new Uint8Array(this.#buffer, this.#offset, array.byteLength)
+            .set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        this.#offset += array.byteLength;
+    }
+
+    /**
+     * Function to get the written bytes
+     * @returns {ArrayBuffer} Copy of the written part of the buffer
+     */
+    finish() {
+        return this.#buffer.slice(0, this.#offset);
+    }
+}
+
+/**
+ * @class
+ * @classdesc Reader to decode values written by a BinaryWriter
+ * @author Bhaumik Talwar
+ */
+export class BinaryReader {
+
+    /** @type {ArrayBuffer} Buffer being read */
+    #buffer;
+
+    /** @type {DataView} View to read the values */
+    #view;
+
+    /** @type {number} Position to read the next value from */
+    #offset = 0;
+
+    /**
+     * Constructor for the Binary Reader
+     * @param {ArrayBuffer} buffer The buffer to read
+     */
+    constructor(buffer) {
+        this.#buffer = buffer;
+        this.#view = new DataView(buffer);
+    }
+
+    /**
+     * Function to read a unsigned 8 bit integer
+     * @returns {number} The value
+     */
+    u8() {
+        const value = this.#view.getUint8(this.#offset);
+        this.#offset += 1;
+        return value;
+    }
+
+    /**
+     * Function to read a unsigned 16 bit integer
+     * @returns {number} The value
+     */
+    u16() {
+        const value = this.#view.getUint16(this.#offset, true);
+        this.#offset += 2;
+        return value;
+    }
+
+    /**
+     * Function to read a unsigned 32 bit integer
+     * @returns {number} The value
+     */
+    u32() {
+        const value = this.#view.getUint32(this.#offset, true);
+        this.#offset += 4;
+        return value;
+    }
+
+    /**
+     * Function to read a signed 32 bit integer
+     * @returns {number} The value
+     */
+    i32() {
+        const value = this.#view.getInt32(this.#offset, true);
+        this.#offset += 4;
+        return value;
+    }
+
+    /**
+     * Function to read a 32 bit float
+     * @returns {number} The value
+     */
+    f32() {
+        const value = this.#view.getFloat32(this.#offset, true);
+        this.#offset += 4;
+        return value;
+    }
+
+    /**
+     * Function to read a 64 bit float
+     * @returns {number} The value
+     */
+    f64() {
+        const value = this.#view.getFloat64(this.#offset, true);
+        this.#offset += 8;
+        return value;
+    }
+
+    /**
+     * Function to read a unsigned 64 bit integer
+     * @returns {bigint} The value
+     */
+    u64() {
+        const value = this.#view.getBigUint64(this.#offset, true);
+        this.#offset += 8;
+        return value;
+    }
+
+    /**
+     * Function to read a string written by BinaryWriter.string
+     * @returns {string} The value
+     */
+    string() {
+        const len = this.u32();
+        const value = new globalThis.TextDecoder().decode(new Uint8Array(this.#buffer, this.#offset, len));
+        this.#offset += len;
+        return value;
+    }
+
+    /**
+     * Function to read a typed array written by BinaryWriter.bytes
+     * @template {Column} T
+     * @param {{new (buffer: ArrayBuffer): T, BYTES_PER_ELEMENT: number}} ArrayType Constructor of the typed array
+     * @param {number} length Number of elements
+     * @returns {T} A copy of the elements
+     * @throws {Error} If the buffer ends before the elements
+     */
+    typed(ArrayType, length) {
+        const bytes = length * ArrayType.BYTES_PER_ELEMENT;
+        if (this.#offset + bytes > this.#buffer.byteLength) throw new Error("Encoded registry is truncated");
+
+        const array = new ArrayType(this.#buffer.slice(this.#offset, this.#offset + bytes));
+        this.#offset += bytes;
+        return array;
+    }
+}
+
+/**
+ * Function to encode the entities, the registerd component stores and the context resources of a registry
+ * Id arrays and columns are dumped as raw typed arrays (platform endianness, little endian in practice)
+ * @param {EntityHandle} handler Entity Handler of the registry
+ * @param {EntityStoreRaw} entities Raw data of the Entity Store
+ * @param {BinaryStoreEntry[]} entries The component stores to encode
+ * @param {Record<string, unknown>} ctx Serialized context resources, encoded as a JSON string
+ * @returns {ArrayBuffer} The encoded registry
+ * @throws {Error} If a schema has more fields than the format can hold
+ */
+export function encodeRegistry(handler, entities, entries, ctx) {
+    const writer = new BinaryWriter();
+
+    writer.u32(MAGIC);
+    writer.u16(FORMAT_VERSION);
+    writer.u8(handler.bits.indexBits);
+    writer.u8(handler.bits.versionBits);
+    writer.u8(handler.bits.type);
+
+    writer.u32(entities.appendIndex);
+    writer.i32(entities.freeSlot);
+    writer.bytes(toIdArray(handler, entities.entities, entities.appendIndex));
+
+    writer.u32(entries.length);
+    for (const { info, store } of entries) {
+        const len = store.len();
+        const type = store.componentType();
+
+        writer.string(info.name);
+        writer.u8(type);
+        writer.u32(len);
+        writer.bytes(toIdArray(handler, store.data(), len));
+
+        if (type === ComponentSchema) {
+            const schema = /** @type {ComponentSchemaDef} */ (/** @type {SchemaComponentConstructor} */ (info.comp).schema);
+            const { columns } = store.rawColumns();
+            const fields = Object.keys(schema);
+
+            if (fields.length > MAX_SCHEMA_FIELDS) throw new Error(`Schema of '${info.name}' has more than ${MAX_SCHEMA_FIELDS} fields`);
+
+            writer.u16(fields.length);
+            for (const field of fields) {
+                writer.string(field);
+                writer.string(schema[field]);
+                writer.bytes(columns[field].subarray(0, len));
+            }
+        } else if (type === ComponentStandard) {
+            const data = store.raw().data;
+
+            if (info.encode !== undefined) {
+                writer.u8(ENCODING_CUSTOM);
+                for (let i = 0; i < len; i++) info.encode(data[i], writer);
+            } else {
+                writer.u8(ENCODING_JSON);
+                writer.string(JSON.stringify(data.slice(0, len).map(info.serialize)));
+            }
+        }
+    }
+
+    writer.string(JSON.stringify(ctx));
+
+    return writer.finish();
+}
+
+/**
+ * Function to decode a registry encoded by encodeRegistry
+ * @param {ArrayBuffer} buffer The encoded registry
+ * @param {EntityHandle} handler Entity Handler of the registry to decode into
+ * @param {(name: string) => ComponentTypeInfo | undefined} lookup Function to get the registerd info of a type by name
+ * @returns {DecodedRegistry} The decoded entities, components and context resources
+ * @throws {Error} If the buffer is not of this format or version or was encoded with a different entity layout or schema
+ */
+export function decodeRegistry(buffer, handler, lookup) {
+    const reader = new BinaryReader(buffer);
+
+    if (buffer.byteLength < 11 || reader.u32() !== MAGIC) throw new Error("Not a encoded registry");
+
+    const version = reader.u16();
+    if (version !== FORMAT_VERSION) throw new Error(`Unsupported binary format version ${version}`);
+
+    const indexBits = reader.u8();
+    const versionBits = reader.u8();
+    const type = reader.u8();
+    if (indexBits !== handler.bits.indexBits || versionBits !== handler.bits.versionBits || type !== handler.bits.type) {
+        throw new Error(`Entity layout mismatch: encoded with ${indexBits}/${versionBits} bits, loading with ${handler.bits.indexBits}/${handler.bits.versionBits} bits`);
+    }
+
+    const IdArrayType = /** @type {{new (buffer: ArrayBuffer): IdArray, BYTES_PER_ELEMENT: number}} */ (
+        handler.bits.type === EntityType.BigInt ? BigUint64Array : Uint32Array
+    );
+
+    const appendIndex = reader.u32();
+    const freeSlot = reader.i32();
+
+    /** @type {EntityStoreSnapshot} */
+    const entities = {
+        indexBits,
+        versionBits,
+        entities: reader.typed(IdArrayType, appendIndex),
+        appendIndex,
+        freeSlot,
+    };
+
+    /** @type {Record<string, StoreSnapshot>} */
+    const components = {};
+
+    const count = reader.u32();
+    for (let c = 0; c < count; c++) {
+        const name = reader.string();
+        const ctype = reader.u8();
+        const len = reader.u32();
+
+        const info = lookup(name);
+        if (info === undefined) throw new Error(`Component '${name}' is not registerd`);
+
+        /** @type {StoreSnapshot} */
+        const snapshot = { type: ctype, entities: reader.typed(IdArrayType, len) };
+
+        if (ctype === ComponentSchema) {
+            const schema = /** @type {SchemaComponentConstructor} */ (info.comp).schema ?? {};
+
+            /** @type {Record<string, Column>} */
+            const columns = {};
+
+            const fieldCount = reader.u16();
+            for (let f = 0; f < fieldCount; f++) {
+                const field = reader.string();
+                const fieldType = /** @type {FieldType} */ (reader.string());
+                if (!Object.hasOwn(schema, field) || schema[field] !== fieldType) throw new Error(`Schema mismatch for '${name}.${field}'`);
+                if (Object.hasOwn(columns, field)) throw new Error(`Field '${name}.${field}' is encoded twice`);
+
+                const ColumnType = /** @type {{new (buffer: ArrayBuffer): Column, BYTES_PER_ELEMENT: number}} */ (FIELD_TYPES[fieldType]);
+                columns[field] = reader.typed(ColumnType, len);
+            }
+
+            for (const field of Object.keys(schema)) {
+                if (!Object.hasOwn(columns, field)) throw new Error(`Schema mismatch: field '${name}.${field}' is missing`);
+            }
+
+            snapshot.columns = columns;
+        } else if (ctype === ComponentStandard) {
+            const encoding = reader.u8();
+
+            if (encoding === ENCODING_CUSTOM) {
+                if (info.decode === undefined) throw new Error(`Component '${name}' has no decoder`);
+
+                const data = new Array(len);
+                for (let i = 0; i < len; i++) data[i] = info.decode(reader);
+                snapshot.data = data;
+            } else {
+                snapshot.data = JSON.parse(reader.string()).map(info.deserialize);
+            }
+        } else if (ctype !== ComponentEmpty) {
+            throw new Error(`Unknown component type ${ctype} for '${name}'`);
+        }
+
+        components[name] = snapshot;
+    }
+
+    const ctx = JSON.parse(reader.string());
+
+    return { entities, components, ctx };
+}
+
+/**
+ * Helper function to get the first len ids of a list as a typed array of the id type of the handler
+ * Typed lists are viewed without copying, others are converted
+ * @param {EntityHandle} handler Entity Handler the ids belong to
+ * @param {Uint32Array | BigUint64Array | EntityID[]} ids The list of ids
+ * @param {number} len Number of ids
+ * @returns {IdArray} The typed ids
+ */
+function toIdArray(handler, ids, len) {
+    if (handler.bits.type === EntityType.BigInt) {
+        if (ids instanceof BigUint64Array) return ids.subarray(0, len);
+
+        const typed = new BigUint64Array(len);
+        for (let i = 0; i < len; i++) typed[i] = BigInt(ids[i]);
+        return typed;
+    }
+
+    if (ids instanceof Uint32Array) return ids.subarray(0, len);
+
+    const typed = new Uint32Array(len);
+    for (let i = 0; i < len; i++) typed[i] = Number(ids[i]);
+    return typed;
+}
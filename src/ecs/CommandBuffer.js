@@ -0,0 +1,269 @@
+// @ts-check
+
+import { ComponentStandard } from "./ComponentStore.js";
+import { DefaultRegistryOptions } from "./Registry.js";
+
+/**
+ * @import {Component, ComponentConstructor, ComponentType} from './ComponentStore.js'
+ * @import {EntityID} from './EntityHandle.js'
+ * @import {Registry, ComponentOptions} from './Registry.js'
+ */
+
+/**
+ * @typedef {object} Command
+ * @property {number} op - The operation to apply
+ * @property {EntityID} entity - The entity (or placeholder) the operation targets
+ * @property {ComponentConstructor} [comp] - The component type Costrutor to identify the comp
+ * @property {ComponentType} [CType] - Type of the Component
+ * @property {unknown[]} [args] - Args passed to Component Constructore
+ * @property {ComponentOptions} [config] - The config to customize the comp store creation and usage
+ * @property {(comp: Component) => void} [func] - Function called with the component to mutate it
+ */
+
+/** @constant CMD_CREATE - Create a entity for a placeholder */
+const CMD_CREATE = 0;
+
+/** @constant CMD_ADD - Add a component to a entity */
+const CMD_ADD = 1;
+
+/** @constant CMD_REPLACE - Replace the component of a entity */
+const CMD_REPLACE = 2;
+
+/** @constant CMD_PATCH - Patch the component of a entity */
+const CMD_PATCH = 3;
+
+/** @constant CMD_REMOVE - Remove a component from a entity */
+const CMD_REMOVE = 4;
+
+/** @constant CMD_DESTROY - Destroy a entity */
+const CMD_DESTROY = 5;
+
+/**
+ * @class
+ * @classdesc Buffer to record structural changes and apply them later to a registry,
+ * makes it safe to mutate the world while iterating over the stores
+ * @author Bhaumik Talwar
+ */
+export class CommandBuffer {
+
+    /** @type {Command[]} Commands in the order they were recorded */
+    #commands = [];
+
+    /** @type {number} Number of placeholders handed out since the last clear */
+    #placeholders = 0;
+
+    /**
+     * Function to know if the entity is a placeholder handed out by this buffer
+     * @param {EntityID} entity The entity to check
+     * @returns {boolean} True if its a placeholder
+     */
+    isPlaceholder(entity) {
+        return typeof entity === "number" && entity < 0 && -entity <= this.#placeholders;
+    }
+
+    /**
+     * Function to record the creation of a entity
+     * The returned placeholder can be used with the other commands of this buffer till it is flushed
+     * @returns {EntityID} Placeholder for the entity to be created
+     */
+    create() {
+        this.#placeholders += 1;
+
+        const placeholder = -this.#placeholders;
+        this.#commands.push({ op: CMD_CREATE, entity: placeholder });
+
+        return placeholder;
+    }
+
+    /**
+     * Function to record adding a component to a entity
+     * @param {EntityID} entity The entity or a placeholder
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {ComponentType} [CType] Type of the Component
+     * @param {unknown[]} [args] - Args passed to Component Constructore
+     * @param {ComponentOptions} [config] The config to customize the comp store creation and usage
+     */
+    add(entity, comp, CType = ComponentStandard, args = [], config = DefaultRegistryOptions.componentOptions) {
+        this.#commands.push({ op: CMD_ADD, entity, comp, CType, args, config });
+    }
+
+    /**
+     * Function to record replacing the component of a entity
+     * @param {EntityID} entity The entity or a placeholder
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {unknown[]} [args] - Args passed to Component Constructore
+     */
+    replace(entity, comp, args = []) {
+        this.#commands.push({ op: CMD_REPLACE, entity, comp, args });
+    }
+
+    /**
+     * Function to record mutating the component of a entity in place
+     * @param {EntityID} entity The entity or a placeholder
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {(comp: Component) => void} [func] Function called with the component to mutate it
+     */
+    patch(entity, comp, func) {
+        this.#commands.push({ op: CMD_PATCH, entity, comp, func });
+    }
+
+    /**
+     * Function to record removing a component from a entity
+     * @param {EntityID} entity The entity or a placeholder
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     */
+    remove(entity, comp) {
+        this.#commands.push({ op: CMD_REMOVE, entity, comp });
+    }
+
+    /**
+     * Function to record destroying a entity
+     * @param {EntityID} entity The entity or a placeholder
+     */
+    destroy(entity) {
+        this.#commands.push({ op: CMD_DESTROY, entity });
+    }
+
+    /**
+     * Function to know the number of recorded commands
+     * @returns {number} Number of commands
+     */
+    len() {
+        return this.#commands.length;
+    }
+
+    /**
+     * Function to drop all the recorded commands without applying them
+     */
+    clear() {
+        this.#commands = [];
+        this.#placeholders = 0;
+    }
+
+    /**
+     * Function to check that all the commands can be applied before any of them is, by replaying them on the
+     * alive entities and component sets they would produce
+     * Commands targeting entities no longer alive (e.g. destroyed by an earlier command) are skipped like flush does.
+     * @param {Registry} registry The registry the commands will be applied to
+     * @param {Command[]} commands The commands to check
+     * @throws {Error} If a replace or patch targets a component the entity would not have or a destroy would overflow a version
+     */
+    #validate(registry, commands) {
+        /** @type {Map<EntityID, boolean>} Alive state of the entities touched by the commands */
+        const alive = new Map();
+
+        /** @type {Map<EntityID, Map<ComponentConstructor, boolean>>} Components the touched entities would have */
+        const comps = new Map();
+
+        /** @type {Set<EntityID>} Placeholders of the entities the commands create */
+        const created = new Set();
+
+        for (let i = 0; i < commands.length; i++) {
+            const cmd = commands[i];
+            if (cmd.op === CMD_CREATE) {
+                created.add(cmd.entity);
+                alive.set(cmd.entity, true);
+                comps.set(cmd.entity, new Map());
+                continue;
+            }
+
+            if (!(alive.get(cmd.entity) ?? registry.valid(cmd.entity))) continue;
+            if (cmd.op === CMD_DESTROY) {
+                if (!created.has(cmd.entity) && !registry.canDestroy(cmd.entity)) {
+                    throw new Error(`Command ${i} destroys an entity whose version would overflow`);
+                }
+
+                alive.set(cmd.entity, false);
+                continue;
+            }
+
+            const comp = /** @type {ComponentConstructor} */ (cmd.comp);
+            let entityComps = comps.get(cmd.entity);
+            if (entityComps === undefined) {
+                entityComps = new Map();
+                comps.set(cmd.entity, entityComps);
+            }
+
+            switch (cmd.op) {
+            case CMD_ADD:
+                entityComps.set(comp, true);
+                break;
+            case CMD_REMOVE:
+                entityComps.set(comp, false);
+                break;
+            default: {
+                const has = entityComps.get(comp) ?? (registry.len(comp) !== -1 && registry.has(cmd.entity, comp));
+                if (!has) throw new Error(`Command ${i} targets a ${comp.name} the entity does not have`);
+            }
+            }
+        }
+    }
+
+    /**
+     * Function to apply all the recorded commands to the registry in the order they were recorded
+     * The commands are validated first, so if one of them could not be applied nothing is and the buffer is left as it was.
+     * If a command still throws while applying (e.g. from a patch function) the ones applied are kept in the registry and
+     * the failing command and the ones after it stay in the buffer, with the created placeholders replaced by their entities.
+     * Commands recorded while flushing are kept for the next flush.
+     * Commands targeting entities no longer alive (e.g. destroyed by an earlier command) are skipped.
+     * @param {Registry} registry The registry to apply the commands to
+     * @returns {Map<EntityID, EntityID>} Map of the placeholders to the created entities
+     * @throws {Error} If a command can not be applied
+     */
+    flush(registry) {
+        const commands = this.#commands;
+        this.#validate(registry, commands);
+        this.#commands = [];
+
+        /** @type {Map<EntityID, EntityID>} */
+        const created = new Map();
+
+        for (let i = 0; i < commands.length; i++) {
+            try {
+                this.#apply(registry, commands[i], created);
+            } catch (err) {
+                const remaining = commands.slice(i).map((cmd) => ({ ...cmd, entity: created.get(cmd.entity) ?? cmd.entity }));
+                this.#commands = remaining.concat(this.#commands);
+                throw err;
+            }
+        }
+
+        return created;
+    }
+
+    /**
+     * Function to apply a single command
+     * @param {Registry} registry The registry to apply the command to
+     * @param {Command} cmd The command
+     * @param {Map<EntityID, EntityID>} created Map of the placeholders to the created entities, filled by the create commands
+     * @throws {Error} If the registry rejects the command
+     */
+    #apply(registry, cmd, created) {
+        if (cmd.op === CMD_CREATE) {
+            created.set(cmd.entity, registry.create());
+            return;
+        }
+
+        const entity = created.get(cmd.entity) ?? cmd.entity;
+        if (!registry.valid(entity)) return;
+
+        const comp = /** @type {ComponentConstructor} */ (cmd.comp);
+        switch (cmd.op) {
+        case CMD_ADD:
+            registry.add(entity, comp, cmd.CType, cmd.args, cmd.config);
+            break;
+        case CMD_REPLACE:
+            registry.replace(entity, comp, cmd.args);
+            break;
+        case CMD_PATCH:
+            registry.patch(entity, comp, cmd.func);
+            break;
+        case CMD_REMOVE:
+            registry.removeIfExist(entity, comp);
+            break;
+        case CMD_DESTROY:
+            registry.destroy(entity);
+            break;
+        }
+    }
+}
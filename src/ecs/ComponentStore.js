@@ -1,9 +1,10 @@
 // @ts-check
 
-import { DefaultSparseSetOptions, SparseSet } from "./SparseSet.js";
+import { DefaultSparseSetOptions, SparseSet, SLOT_BYTES } from "./SparseSet.js";
+import { serializeEntity, deserializeEntity } from "./EntityHandle.js";
 
 /**
- * @import {SparseSetOptions, SparseSetIterator} from './SparseSet.js'
+ * @import {SparseSetOptions, SparseSetIterator, SortOptions} from './SparseSet.js'
  * @import {EntityID} from './EntityHandle.js'
  */
 
@@ -17,6 +18,37 @@ import { DefaultSparseSetOptions, SparseSet } from "./SparseSet.js";
  * @property {number} len - Number of active components.
  */
 
+/** @typedef {Int8Array | Uint8Array | Int16Array | Uint16Array | Int32Array | Uint32Array | Float32Array | Float64Array | BigInt64Array | BigUint64Array} Column */
+/** @typedef {"i8" | "u8" | "i16" | "u16" | "i32" | "u32" | "f32" | "f64" | "i64" | "u64"} FieldType */
+/** @typedef {Record<string, FieldType>} ComponentSchemaDef */
+
+/**
+ * @typedef {object} RawColumnData
+ * @property {Record<string, Column>} columns - The column (typed array) reference for each field of the schema.
+ * @property {number} len - Number of active components.
+ */
+
+
+/**
+ * @typedef {object} StoreSnapshot
+ * @property {ComponentType} type - Type of the Component
+ * @property {(number | string)[] | Uint32Array | BigUint64Array} entities - Entities in the order of the dense list (BigInt ids as strings)
+ * @property {unknown[]} [data] - Serialized components of Standard Components
+ * @property {Record<string, (number | string)[] | Column>} [columns] - Values of each field of Schema Components (BigInt values as strings)
+ */
+
+/**
+ * @typedef {object} StoreStats
+ * @property {ComponentType} type - Type of the Component
+ * @property {number} length - Number of components in the store
+ * @property {number} capacity - Capacity of the dense list
+ * @property {number} pages - Number of allocated pages of the sparse array
+ * @property {number} denseBytes - Bytes held by the dense list (estimated for plain arrays)
+ * @property {number} sparseBytes - Estimated bytes held by the pages of the sparse array
+ * @property {number} componentBytes - Bytes held by the component array or columns and the tick columns (estimated for plain arrays)
+ * @property {boolean} empty - Whether the store has no components
+ * @property {boolean} tag - Whether the store is for a Empty (Tag) Component
+ */
 
 /**
  * @typedef {object} CompStoreIterator
@@ -27,6 +59,7 @@ import { DefaultSparseSetOptions, SparseSet } from "./SparseSet.js";
  */
 
 /** @typedef {new (...args: any[]) => any} ComponentConstructor */
+/** @typedef {ComponentConstructor & {schema?: ComponentSchemaDef}} SchemaComponentConstructor */
 
 /** @constant FAILED_OPERATION - To mark a Failed Operation*/
 const FAILED_OPERATION = -1;
@@ -43,6 +76,23 @@ export const ComponentStandard = 0b01;
 /** @constant Empty Component (Used for Tag Component} */
 export const ComponentEmpty = 0b10;
 
+/** @constant Schema Component (Stored as a typed array per field of the static schema of the type) */
+export const ComponentSchema = 0b100;
+
+/** @constant FIELD_TYPES - Typed Array Constructors for each field type of a schema */
+export const FIELD_TYPES = Object.freeze({
+    i8: Int8Array,
+    u8: Uint8Array,
+    i16: Int16Array,
+    u16: Uint16Array,
+    i32: Int32Array,
+    u32: Uint32Array,
+    f32: Float32Array,
+    f64: Float64Array,
+    i64: BigInt64Array,
+    u64: BigUint64Array,
+});
+
 /**
  * @class
  * @classdesc Class Usedfor COmponent Storage in the ECS system uses Sparse Set based design
@@ -62,8 +112,33 @@ export class ComponentStore {
     /** @type {boolean} Bool to know if its a empty Component or not */
     #isEmptyComp = false;
 
+    /** @type {ComponentType} Type of the Component */
+    #ctype = ComponentStandard;
+
+    /** @type {Record<string, Column> | null} Column per field for Schema Components (null otherwise) */
+    #columns = null;
+
+    /** @type {ComponentSchemaDef} Schema of a Schema Component (empty otherwise) */
+    #schema = {};
+
+    /** @type {string[]} Fields of the schema in the order of the constructor args */
+    #fields = [];
+
+    /** @type {boolean} Bool to know if the columns are backed by SharedArrayBuffer */
+    #shared = false;
+
+    /** @type {(new (entityID: EntityID) => Component) | null} Class of the objects used to access a Schema Component */
+    #Ref = null;
+
+    /** @type {Uint32Array} Tick at which the component of each slot was added (parallel to the dense list) */
+    #addedTicks;
+
+    /** @type {Uint32Array} Tick at which the component of each slot last changed (parallel to the dense list) */
+    #changedTicks;
+
     /**
      * Constructor Function for a Component Store
+     * For ComponentSchema the type must have a static schema mapping field names to FieldType (e.g. { x: "f32" })
      * @param {ComponentConstructor} type Component Type (Constructor Function Used to Intantiate the Component Object)
      * @param {ComponentType} Ctype Type of the Component
      * @param {SparseSetOptions } [config] Sparse Set Options Used to Setup the Set and Pool
@@ -72,15 +147,192 @@ export class ComponentStore {
     constructor(type, Ctype = ComponentStandard, config = DefaultSparseSetOptions) {
         if (!type) throw new Error("A Type for the component is required");
 
+        this.#compConstructor = type;
+        this.#set = new SparseSet(config);
+        this.#addedTicks = new Uint32Array(this.#set.capacity());
+        this.#changedTicks = new Uint32Array(this.#set.capacity());
+
         if (Ctype === ComponentEmpty) {
             this.#isEmptyComp = true;
+            this.#ctype = ComponentEmpty;
+            this.#components = [];
+        } else if (Ctype === ComponentSchema) {
+            const schema = /** @type {SchemaComponentConstructor} */ (type).schema;
+            if (schema == null || Object.keys(schema).length === 0) throw new Error("Schema Component needs a static schema");
+
+            for (const [field, fieldType] of Object.entries(schema)) {
+                if (!(fieldType in FIELD_TYPES)) throw new Error(`Unknown type '${fieldType}' for field '${field}'`);
+            }
+
+            this.#ctype = ComponentSchema;
             this.#components = [];
+            this.#schema = schema;
+            this.#fields = Object.keys(schema);
+            this.#shared = config.shared ?? false;
+            this.#columns = {};
+            for (const field of this.#fields) {
+                this.#columns[field] = this.#allocColumn(schema[field], this.#set.capacity());
+            }
+            this.#Ref = this.#defineRef();
         } else {
             this.#components = new Array(config.poolSize);
         }
+    }
 
-        this.#compConstructor = type;
-        this.#set = new SparseSet(config);
+    /**
+     * Function to allocate a column for a field
+     * @param {FieldType} fieldType Type of the field
+     * @param {number} capacity Capacity of the column
+     * @returns {Column} The column
+     */
+    #allocColumn(fieldType, capacity) {
+        const ArrayType = /** @type {{new (arg: number | ArrayBuffer | SharedArrayBuffer): Column, BYTES_PER_ELEMENT: number}} */ (FIELD_TYPES[fieldType]);
+        if (!this.#shared) return new ArrayType(capacity);
+
+        return new ArrayType(new SharedArrayBuffer(capacity * ArrayType.BYTES_PER_ELEMENT));
+    }
+
+    /**
+     * Function to grow all the columns so they stay in lockstep with the capacity of the sparse set
+     * @param {number} capacity New Capacity of the columns
+     */
+    #growColumns(capacity) {
+        if (this.#columns === null) return;
+
+        for (const field of this.#fields) {
+            const old = this.#columns[field];
+            if (old.length >= capacity) continue;
+
+            const bigger = this.#allocColumn(this.#schema[field], capacity);
+            copyColumn(bigger, old);
+            this.#columns[field] = bigger;
+        }
+    }
+
+    /**
+     * Function to grow the tick columns so they stay in lockstep with the capacity of the sparse set
+     * @param {number} capacity New Capacity of the tick columns
+     */
+    #growTicks(capacity) {
+        if (this.#addedTicks.length >= capacity) return;
+
+        const added = new Uint32Array(capacity);
+        added.set(this.#addedTicks);
+        this.#addedTicks = added;
+
+        const changed = new Uint32Array(capacity);
+        changed.set(this.#changedTicks);
+        this.#changedTicks = changed;
+    }
+
+    /**
+     * Function to define the class whose objects give access to the fields of a Schema Component of an entity
+     * The accessors resolve the index of the entity on every access so they stay valid across swaps, and throw once the entity lost the component
+     * @returns {new (entityID: EntityID) => Component} The class
+     */
+    #defineRef() {
+        const store = this;
+
+        /**
+         * @class
+         * @classdesc Accessor object for the Schema Component of an entity
+         */
+        const Ref = class {
+            /**
+             * Constructor for the accessor
+             * @param {EntityID} entityID - EntityID for the entity
+             */
+            constructor(entityID) {
+                /** @type {EntityID} EntityID for the entity whose component is accessed */
+                this.entity = entityID;
+            }
+        };
+
+        for (const field of this.#fields) {
+            Object.defineProperty(Ref.prototype, field, {
+                enumerable: true,
+
+                /**
+                 * Getter for the field
+                 * @this {InstanceType<typeof Ref>}
+                 * @returns {number | bigint} Value of the field
+                 * @throws {Error} If the entity no longer has the component
+                 */
+                get() {
+                    const columns = /** @type {Record<string, Column>} */ (store.#columns);
+                    return columns[field][store.#refIndex(this.entity)];
+                },
+
+                /**
+                 * Setter for the field
+                 * @this {InstanceType<typeof Ref>}
+                 * @param {number | bigint} value Value of the field
+                 * @throws {Error} If the entity no longer has the component
+                 */
+                set(value) {
+                    const columns = /** @type {Record<string, Column>} */ (store.#columns);
+                    columns[field][store.#refIndex(this.entity)] = value;
+                },
+            });
+        }
+
+        return Ref;
+    }
+
+    /**
+     * Function to get the index of the entity a Ref accesses
+     * @param {EntityID} entityID - EntityID for the entity
+     * @returns {number} Index in the dense list
+     * @throws {Error} If the entity no longer has the component (a stale Ref)
+     */
+    #refIndex(entityID) {
+        const idx = this.#set.index(entityID);
+        if (idx === FAILED_OPERATION) throw new Error("Component Does Not Exist For this Id (stale Ref)");
+
+        return idx;
+    }
+
+    /**
+     * Function to get a plain object with the field values of the Schema Component at an index
+     * @param {number} idx Index in the dense list
+     * @returns {Record<string, number | bigint>} The field values
+     */
+    #valuesAt(idx) {
+        const columns = /** @type {Record<string, Column>} */ (this.#columns);
+
+        /** @type {Record<string, number | bigint>} */
+        const values = {};
+        for (const field of this.#fields) {
+            values[field] = columns[field][idx];
+        }
+
+        return values;
+    }
+
+    /**
+     * Function to write the constructor args of a Schema Component at an index
+     * Args are taken in the order of the fields of the schema, missing ones are set to zero
+     * @param {number} idx Index in the dense list
+     * @param {(number | bigint)[]} args Values of the fields
+     */
+    #writeAt(idx, args) {
+        const columns = /** @type {Record<string, Column>} */ (this.#columns);
+
+        for (let i = 0; i < this.#fields.length; i++) {
+            const column = columns[this.#fields[i]];
+            const zero = (column instanceof BigInt64Array || column instanceof BigUint64Array) ? 0n : 0;
+            column[idx] = args[i] ?? zero;
+        }
+    }
+
+    /**
+     * Function to get the component at an index of the dense list
+     * @param {number} idx Index in the dense list
+     * @returns {Component} The component (an accessor object for Schema Components)
+     */
+    #at(idx) {
+        if (this.#Ref !== null) return new this.#Ref(this.#set.data()[idx]);
+        return this.#components[idx];
     }
 
     /**
@@ -92,7 +344,10 @@ export class ComponentStore {
         if (capacity <= this.#set.capacity()) return FAILED_OPERATION;
 
         this.#set.resize(capacity);
-        if (!this.#isEmptyComp) {
+        this.#growColumns(capacity);
+        this.#growTicks(capacity);
+
+        if (!this.#isEmptyComp && this.#columns === null) {
             const start = this.#components.length;
             this.#components.length = capacity;
             this.#components.fill(DEFAULT_COMP_VAL, start);
@@ -101,6 +356,61 @@ export class ComponentStore {
         return SUCCESS_OPERATION;
     }
 
+    /**
+     * Function to get the occupancy and memory statistics of the store
+     * @returns {StoreStats} The statistics
+     */
+    stats() {
+        let componentBytes = this.#addedTicks.byteLength + this.#changedTicks.byteLength;
+        if (this.#columns !== null) {
+            for (const field of this.#fields) componentBytes += this.#columns[field].byteLength;
+        } else if (!this.#isEmptyComp) {
+            componentBytes += this.#components.length * SLOT_BYTES;
+        }
+
+        const len = this.len();
+        return {
+            type: this.#ctype,
+            ...this.#set.stats(),
+            componentBytes,
+            empty: len === 0,
+            tag: this.#isEmptyComp,
+        };
+    }
+
+    /**
+     * Function to release the memory not needed for the current components
+     * The sparse set, the component array, the columns and the tick columns are trimmed to the length of the store (not below the pool size)
+     * @returns {number} Bytes reclaimed (estimated for plain arrays)
+     */
+    shrinkToFit() {
+        let reclaimed = this.#set.shrinkToFit();
+        const capacity = this.#set.capacity();
+
+        if (this.#columns !== null) {
+            for (const field of this.#fields) {
+                const old = this.#columns[field];
+                if (old.length <= capacity) continue;
+
+                const smaller = this.#allocColumn(this.#schema[field], capacity);
+                copyColumn(smaller, old.subarray(0, capacity));
+                this.#columns[field] = smaller;
+                reclaimed += (old.length - capacity) * old.BYTES_PER_ELEMENT;
+            }
+        } else if (!this.#isEmptyComp && this.#components.length > capacity) {
+            reclaimed += (this.#components.length - capacity) * SLOT_BYTES;
+            this.#components.length = capacity;
+        }
+
+        if (this.#addedTicks.length > capacity) {
+            reclaimed += (this.#addedTicks.length - capacity) * 2 * Uint32Array.BYTES_PER_ELEMENT;
+            this.#addedTicks = this.#addedTicks.slice(0, capacity);
+            this.#changedTicks = this.#changedTicks.slice(0, capacity);
+        }
+
+        return reclaimed;
+    }
+
     /**
      * Functio to add Component to a Entity if Entity exists then repalce it with the existing component if replace = true
      * @param {EntityID} entityID - EntityID for the entity
@@ -111,10 +421,63 @@ export class ComponentStore {
      */
     add(entityID, args = [], replace = true, resize = true) {
         const existed = this.#set.contains(entityID);
-        const idx = this.#set.add(entityID, resize);
+        const idx = this.#slot(entityID, resize);
 
         if (idx === FAILED_OPERATION) return FAILED_OPERATION;
-        if (this.#isEmptyComp) return SUCCESS_OPERATION;
+        if (this.#isEmptyComp || (existed && !replace)) return SUCCESS_OPERATION;
+
+        if (this.#columns !== null) {
+            this.#writeAt(idx, args);
+        } else {
+            this.#components[idx] = new this.#compConstructor(...args);
+        }
+
+        return SUCCESS_OPERATION;
+
+    }
+
+    /**
+     * Functio to add an already created Component to a Entity if Entity exists then repalce it with the existing component if replace = true
+     * For Schema Components the values are read from the fields of the object passed
+     * @param {EntityID} entityID - EntityID for the entity
+     * @param {Component} component - The Component object
+     * @param {boolean} [replace] - To replace the compoment in case of the entity already existing in teh system
+     * @param {boolean} [resize] - To enable the add func to auto resize the dense array ( resize will be by a factor of 2)
+     * @returns {number} - returns the status of added elem in list, -1 if operation failed
+     */
+    insert(entityID, component, replace = true, resize = true) {
+        const existed = this.#set.contains(entityID);
+        const idx = this.#slot(entityID, resize);
+
+        if (idx === FAILED_OPERATION) return FAILED_OPERATION;
+        if (this.#isEmptyComp || (existed && !replace)) return SUCCESS_OPERATION;
+
+        if (this.#columns !== null) {
+            this.#writeAt(idx, this.#fields.map((field) => component[field]));
+        } else {
+            this.#components[idx] = component;
+        }
+
+        return SUCCESS_OPERATION;
+    }
+
+    /**
+     * Function to add the entity to the sparse set and make sure the component storage can hold its index
+     * @param {EntityID} entityID - EntityID for the entity
+     * @param {boolean} resize - To enable auto resize of the dense array and component storage
+     * @returns {number} - Index in the dense list, -1 if operation failed
+     */
+    #slot(entityID, resize) {
+        const idx = this.#set.add(entityID, resize);
+        if (idx === FAILED_OPERATION) return idx;
+
+        this.#growTicks(this.#set.capacity());
+        if (this.#isEmptyComp) return idx;
+
+        if (this.#columns !== null) {
+            this.#growColumns(this.#set.capacity());
+            return idx;
+        }
 
         if (idx >= this.#components.length) {
             if (!resize) {
@@ -128,14 +491,7 @@ export class ComponentStore {
             this.#components.fill(DEFAULT_COMP_VAL, oldLen);
         }
 
-        if (existed && !replace) {
-            return SUCCESS_OPERATION;
-        }
-
-        this.#components[idx] = new this.#compConstructor(...args);
-
-        return SUCCESS_OPERATION;
-
+        return idx;
     }
 
     /**
@@ -147,7 +503,17 @@ export class ComponentStore {
         const idx = this.#set.index(entityID);
         if (idx === FAILED_OPERATION) return FAILED_OPERATION;
 
-        if (!this.#isEmptyComp) {
+        const tickIdx = this.#set.len() - 1;
+        this.#addedTicks[idx] = this.#addedTicks[tickIdx];
+        this.#changedTicks[idx] = this.#changedTicks[tickIdx];
+
+        if (this.#columns !== null) {
+            const lastIdx = this.#set.len() - 1;
+            for (const field of this.#fields) {
+                const column = this.#columns[field];
+                column[idx] = column[lastIdx];
+            }
+        } else if (!this.#isEmptyComp) {
             const lastIdx = this.#set.len() - 1;
             if (lastIdx !== idx) {
                 this.#components[idx] = this.#components[lastIdx];
@@ -159,6 +525,55 @@ export class ComponentStore {
 
     }
 
+    /**
+     * Function to record the tick at which the component of an entity was added, it also counts as a change
+     * @param {EntityID} entityID - EntityID for the entity
+     * @param {number} tick - The current tick
+     * @returns {number} - Gives -1 if the entity is not in the store and 0 for success
+     */
+    markAdded(entityID, tick) {
+        const idx = this.#set.index(entityID);
+        if (idx === FAILED_OPERATION) return FAILED_OPERATION;
+
+        this.#addedTicks[idx] = tick;
+        this.#changedTicks[idx] = tick;
+        return SUCCESS_OPERATION;
+    }
+
+    /**
+     * Function to record the tick at which the component of an entity changed
+     * @param {EntityID} entityID - EntityID for the entity
+     * @param {number} tick - The current tick
+     * @returns {number} - Gives -1 if the entity is not in the store and 0 for success
+     */
+    markChanged(entityID, tick) {
+        const idx = this.#set.index(entityID);
+        if (idx === FAILED_OPERATION) return FAILED_OPERATION;
+
+        this.#changedTicks[idx] = tick;
+        return SUCCESS_OPERATION;
+    }
+
+    /**
+     * Function to get the tick at which the component of an entity was added
+     * @param {EntityID} entityID - EntityID for the entity
+     * @returns {number} - The tick, -1 if the entity is not in the store
+     */
+    addedTick(entityID) {
+        const idx = this.#set.index(entityID);
+        return idx === FAILED_OPERATION ? FAILED_OPERATION : this.#addedTicks[idx];
+    }
+
+    /**
+     * Function to get the tick at which the component of an entity last changed
+     * @param {EntityID} entityID - EntityID for the entity
+     * @returns {number} - The tick, -1 if the entity is not in the store
+     */
+    changedTick(entityID) {
+        const idx = this.#set.index(entityID);
+        return idx === FAILED_OPERATION ? FAILED_OPERATION : this.#changedTicks[idx];
+    }
+
     /**
      * Function to know if the entity is attacthed to this component type or not
      * @param {EntityID} entityID - EntityID for the entity
@@ -168,6 +583,15 @@ export class ComponentStore {
         return this.#set.contains(entityID);
     }
 
+    /**
+     * Function to get the Index of the entity in the dense list if its set
+     * @param {EntityID} entityID - EntityID for the entity
+     * @returns {number} - Index in dense list if it exist -1 otherwise
+     */
+    index(entityID) {
+        return this.#set.index(entityID);
+    }
+
     /**
      * Function to know the length of the ComponentStore
      * @returns {number} size of compoennt array and dense list
@@ -176,6 +600,30 @@ export class ComponentStore {
         return this.#set.len();
     }
 
+    /**
+     * Function to know if the store is for a Empty (Tag) Component or not
+     * @returns {boolean} - True if the Component Type is ComponentEmpty
+     */
+    isEmptyComp() {
+        return this.#isEmptyComp;
+    }
+
+    /**
+     * Function to get the Type of the Component of the store
+     * @returns {ComponentType} - ComponentStandard, ComponentEmpty or ComponentSchema
+     */
+    componentType() {
+        return this.#ctype;
+    }
+
+    /**
+     * Function to know if the store is for a Schema Component or not
+     * @returns {boolean} - True if the Component Type is ComponentSchema
+     */
+    isSchemaComp() {
+        return this.#columns !== null;
+    }
+
     /**
      * Function to get raw access to component data.
      * @returns {RawComponentData} The Raw Data Object
@@ -186,9 +634,27 @@ export class ComponentStore {
             throw new Error("This method is not available for empty components.");
         }
 
+        if (this.#columns !== null) {
+            throw new Error("This method is not available for schema components use rawColumns.");
+        }
+
         return { data: this.#components, len: this.#set.len() };
     }
 
+    /**
+     * Function to get raw access to the columns of a Schema Component
+     * The columns are reallocated when the store grows so the refrence should not be held across adds
+     * @returns {RawColumnData} The Raw Column Object
+     * @throws {Error}
+     */
+    rawColumns() {
+        if (this.#columns === null) {
+            throw new Error("This method is only available for schema components.");
+        }
+
+        return { columns: this.#columns, len: this.#set.len() };
+    }
+
     /**
      * Function to get the Component for the Entity
      * @param {EntityID} entityID - EntityID for the entity
@@ -201,7 +667,7 @@ export class ComponentStore {
         const idx = this.#set.index(entityID);
         if (idx === FAILED_OPERATION) throw new Error("Component Does Not Exist For this Id");
 
-        return this.#components[idx];
+        return this.#at(idx);
     }
 
     /**
@@ -215,6 +681,7 @@ export class ComponentStore {
 
         const idx = this.#set.index(entityID);
         if (idx === FAILED_OPERATION) throw new Error("Component Does Not Exist For this Id");
+        if (this.#columns !== null) return this.#valuesAt(idx);
 
         const comp = this.#components[idx];
         return Object.assign(Object.create(Object.getPrototypeOf(comp)), structuredClone(comp));
@@ -232,7 +699,7 @@ export class ComponentStore {
         const idx = this.#set.index(entityID);
         if (idx === FAILED_OPERATION) return null;
 
-        return this.#components[idx];
+        return this.#at(idx);
     }
 
     /**
@@ -246,6 +713,7 @@ export class ComponentStore {
 
         const idx = this.#set.index(entityID);
         if (idx === FAILED_OPERATION) return null;
+        if (this.#columns !== null) return this.#valuesAt(idx);
 
         const comp = this.#components[idx];
         return Object.assign(Object.create(Object.getPrototypeOf(comp)), structuredClone(comp));
@@ -253,7 +721,7 @@ export class ComponentStore {
 
     /**
      * Function to get the Entity list that are attached to this Component
-     * @returns {Uint32Array | EntityID[]} - Entity List
+     * @returns {Uint32Array | BigUint64Array | EntityID[]} - Entity List
      */
     data() {
         return this.#set.data();
@@ -276,7 +744,17 @@ export class ComponentStore {
             return FAILED_OPERATION;
         }
 
-        if (!this.#isEmptyComp) {
+        swapTicks(this.#addedTicks, idx1, idx2);
+        swapTicks(this.#changedTicks, idx1, idx2);
+
+        if (this.#columns !== null) {
+            for (const field of this.#fields) {
+                const column = this.#columns[field];
+                const temp = column[idx1];
+                column[idx1] = column[idx2];
+                column[idx2] = temp;
+            }
+        } else if (!this.#isEmptyComp) {
             const temp = this.#components[idx1];
             this.#components[idx1] = this.#components[idx2];
             this.#components[idx2] = temp;
@@ -295,45 +773,208 @@ export class ComponentStore {
      * Function to Sort the Component Store for EmptyComponent Types only
      * Expects same signature and behaviour as comparator func passed to Array.Ssort
      * @param {(a:EntityID, b:EntityID) => number} comparatorFunc - Function to compare and sort the dense array
+     * @param {SortOptions} [options] - Options for the sort
      * @returns {number} weather the operaions is succes or faileed
      * @throws {Error}
      */
-    sortEmpty(comparatorFunc) {
+    sortEmpty(comparatorFunc, options = {}) {
         if (!this.#isEmptyComp) throw new Error("Method only for ComponentEmpty Type");
 
-        return this.#set.sort(comparatorFunc);
+        return this.sort((_a, _b, entityA, entityB) => comparatorFunc(entityA, entityB), options);
     }
 
     /**
      * Function to Sort the Component Store based on comparator function that based on component alone
      * Expects same signature and behaviour as comparator func passed to Array.Ssort
      * @param {(a:Component, b:Component) => number} comparatorFunc - Function to compare and sort the dense array
+     * @param {SortOptions} [options] - Options for the sort
      * @returns {number} weather the operaions is succes or faileed
      * @throws {Error}
      */
-    sortBasedComponent(comparatorFunc) {
+    sortBasedComponent(comparatorFunc, options = {}) {
         if (this.#isEmptyComp) throw new Error("Method only for ComponentEmpty Type");
         if (this.len() <= 1) return FAILED_OPERATION;
 
-        const denseArr = this.#set.data();
-        const compArr = this.#components;
-        let temp = null;
+        return this.sort((a, b) => comparatorFunc(a, b), options);
+    }
+
+    /**
+     * Function to Sort the Component Store in O(n log n)
+     * The permutation is computed once and applied to the dense list, the components and the tick columns
+     * The comparator gets the components followed by the entities (components are null for Empty Components
+     * and accessor objects for Schema Components)
+     * @param {(a:Component, b:Component, entityA:EntityID, entityB:EntityID) => number} comparatorFunc - Function to compare and sort the dense array
+     * @param {SortOptions} [options] - Options for the sort
+     * @returns {number} weather the operaions is succes or faileed
+     */
+    sort(comparatorFunc, options = {}) {
+        const len = this.len();
+        const dense = this.#set.data();
+
+        /** @type {Component[]} */
+        let comps = this.#components;
+        if (this.#isEmptyComp) {
+            comps = new Array(len).fill(null);
+        } else if (this.#columns !== null) {
+            comps = new Array(len);
+            for (let i = 0; i < len; i++) comps[i] = this.#at(i);
+        }
+
+        const order = this.#set.order((a, b) => comparatorFunc(comps[a], comps[b], dense[a], dense[b]), options);
+        this.#set.permute(order);
+
+        if (this.#columns !== null) {
+            for (const field of this.#fields) {
+                copyColumn(this.#columns[field], permuted(this.#columns[field], order));
+            }
+        } else if (!this.#isEmptyComp) {
+            const sorted = permuted(this.#components, order);
+            for (let i = 0; i < len; i++) this.#components[i] = sorted[i];
+        }
+
+        this.#addedTicks.set(permuted(this.#addedTicks, order));
+        this.#changedTicks.set(permuted(this.#changedTicks, order));
+
+        return SUCCESS_OPERATION;
+    }
+
+    /**
+     * Function to reorder the store so the entities also present in another store come first and in the order of that store
+     * The rest of the entities are moved to the back in no particular order
+     * @param {ComponentStore | SparseSet} other - The store whose order is to be respected
+     * @returns {number} weather the operaions is succes or faileed
+     */
+    sortAs(other) {
+        if (other === this) return FAILED_OPERATION;
+
+        const dense = this.#set.data();
+        const otherDense = other.data();
+        const otherLen = other.len();
+
+        let pos = 0;
+        for (let i = 0; i < otherLen && pos < this.len(); i++) {
+            const entity = otherDense[i];
+            const idx = this.#set.index(entity);
+            if (idx === FAILED_OPERATION) continue;
 
-        for (let i = 1; i < this.len(); i++) {
-            for (let j = i; j > 0 && (comparatorFunc(compArr[j], compArr[j - 1]) < 0); j--) {
-                temp = compArr[j];
-                compArr[j] = compArr[j - 1];
-                compArr[j - 1] = temp;
+            if (idx !== pos) this.swap(entity, dense[pos]);
+            pos++;
+        }
 
-                this.#set.swap(denseArr[j], denseArr[j - 1]);
+        return SUCCESS_OPERATION;
+    }
+
+    /**
+     * Function to get a JSON compatible snapshot of the entities and components of the store
+     * @param {(comp: Component) => unknown} serialize - Converts a Standard Component to a JSON compatible value
+     * @returns {StoreSnapshot} The snapshot
+     */
+    snapshot(serialize) {
+        const len = this.len();
+        const dense = this.#set.data();
+
+        /** @type {StoreSnapshot} */
+        const snapshot = { type: this.#ctype, entities: new Array(len) };
+        for (let i = 0; i < len; i++) {
+            snapshot.entities[i] = serializeEntity(dense[i]);
+        }
+
+        if (this.#columns !== null) {
+            snapshot.columns = {};
+            for (const field of this.#fields) {
+                const column = this.#columns[field];
+                const values = new Array(len);
+                for (let i = 0; i < len; i++) {
+                    const value = column[i];
+                    values[i] = typeof value === "bigint" ? value.toString() : value;
+                }
+
+                snapshot.columns[field] = values;
+            }
+        } else if (!this.#isEmptyComp) {
+            snapshot.data = this.#components.slice(0, len).map(serialize);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Function to load the entities and components of a snapshot in the store, keeping the order of the dense list
+     * @param {StoreSnapshot} snapshot - The snapshot
+     * @param {(data: unknown) => Component} deserialize - Converts a serialized Standard Component back to a component
+     * @returns {number} Status 0 for success and -1 for failure
+     * @throws {Error}
+     */
+    load(snapshot, deserialize) {
+        if (snapshot.type !== this.#ctype) throw new Error("Snapshot is for a different Type of Component");
+
+        const len = snapshot.entities.length;
+        if (len > this.#set.capacity()) this.reserve(len);
+
+        for (let i = 0; i < len; i++) {
+            const entity = deserializeEntity(this.#set.entityHandler, snapshot.entities[i]);
+
+            let status = SUCCESS_OPERATION;
+            if (this.#columns !== null) {
+                const columns = this.#columns;
+                const values = /** @type {Record<string, (number | string)[] | Column>} */ (snapshot.columns);
+                status = this.add(entity, this.#fields.map((field) => {
+                    const value = values[field][i];
+                    return (columns[field] instanceof BigInt64Array || columns[field] instanceof BigUint64Array) ? BigInt(value) : value;
+                }));
+            } else if (this.#isEmptyComp) {
+                status = this.add(entity);
+            } else {
+                status = this.insert(entity, deserialize(/** @type {unknown[]} */ (snapshot.data)[i]));
             }
+
+            if (status === FAILED_OPERATION) return FAILED_OPERATION;
         }
 
         return SUCCESS_OPERATION;
     }
 
+    /**
+     * Iterator protocol of the store, iterates [entity, component] pairs like a Map
+     * Empty (Tag) Components are given as null and Schema Components as accessor objects
+     * @yields {[EntityID, Component]}
+     */
+    *[Symbol.iterator]() {
+        yield* this.entries();
+    }
+
+    /**
+     * Generator over the entities of the store in the order of the dense list
+     * @yields {EntityID}
+     */
+    *keys() {
+        yield* this.#set.entities();
+    }
+
+    /**
+     * Generator over the components of the store in the order of the dense list
+     * @yields {Component}
+     */
+    *values() {
+        for (const [, component] of this.entries()) {
+            yield component;
+        }
+    }
+
+    /**
+     * Generator over the [entity, component] pairs of the store in the order of the dense list
+     * @yields {[EntityID, Component]}
+     */
+    *entries() {
+        const dense = this.#set.data();
+        for (let i = 0; i < this.len(); i++) {
+            yield [dense[i], this.#isEmptyComp ? null : this.#at(i)];
+        }
+    }
+
     /**
      * Iterator to Component Store
+     * The allocation free alternative to the iterator protocol
      * @returns {CompStoreIterator} The iterator to the store
      */
     Iterator() {
@@ -347,7 +988,7 @@ export class ComponentStore {
              */
             next() {
                 if (this.index >= this.self.len()) return null;
-                const comp = this.self.#components[this.index];
+                const comp = this.self.#at(this.index);
 
                 this.index += 1;
                 return comp;
@@ -380,7 +1021,7 @@ export class ComponentStore {
                 if (this.index <= 0) return null;
 
                 this.index -= 1;
-                return this.self.#components[this.index];
+                return this.self.#at(this.index);
             },
 
             /**
@@ -400,3 +1041,39 @@ export class ComponentStore {
         return this.#set.Iterator();
     }
 }
+
+/**
+ * Helper function to get the elements of a list reordered by a permutation
+ * @template {Column | Component[]} T
+ * @param {T} list The list to reorder (only the first order.length elements are used)
+ * @param {Uint32Array} order The current position of the element to move to each position
+ * @returns {T} A new list with the reordered elements
+ */
+function permuted(list, order) {
+    const result = /** @type {T} */ (list.slice(0, order.length));
+    for (let i = 0; i < order.length; i++) result[i] = list[order[i]];
+
+    return result;
+}
+
+/**
+ * Helper function to copy the values of a column to the start of another column of the same field type
+ * @param {Column} target The column to copy to
+ * @param {Column} source The column to copy from
+ */
+function copyColumn(target, source) {
+    // Both are of the same field type, so viewing them as one of the types of Column picks the matching set
+    /** @type {Float64Array} */ (target).set(/** @type {Float64Array} */ (source));
+}
+
+/**
+ * Helper function to swap two ticks of a tick column
+ * @param {Uint32Array} ticks The tick column
+ * @param {number} idx1 Index of the first tick
+ * @param {number} idx2 Index of the second tick
+ */
+function swapTicks(ticks, idx1, idx2) {
+    const temp = ticks[idx1];
+    ticks[idx1] = ticks[idx2];
+    ticks[idx2] = temp;
+}
@@ -0,0 +1,94 @@
+// @ts-check
+
+/**
+ * @import {Component, ComponentConstructor} from './ComponentStore.js'
+ * @import {BinaryWriter, BinaryReader} from './Binary.js'
+ * @import {EntityID} from './EntityHandle.js'
+ */
+
+/**
+ * @typedef {object} ComponentTypeOptions
+ * @property {(comp: Component) => unknown} [serialize] - Converts a component to a JSON compatible value (defaults to a shallow copy)
+ * @property {(data: unknown) => Component} [deserialize] - Converts the serialized value back to a component (defaults to assigning it on the prototype)
+ * @property {(comp: Component, writer: BinaryWriter) => void} [encode] - Writes a component to the binary format (defaults to JSON of the serialized value)
+ * @property {(reader: BinaryReader) => Component} [decode] - Reads a component written by encode
+ * @property {(comp: Component, remap: Map<EntityID, EntityID>) => Component} [clone] - Creates the copy of a component when an entity is cloned or copied, the entity references are remapped by the hook (defaults to a structuredClone on the prototype)
+ * @property {string[]} [entityFields] - Fields holding an entity or an array of entities, remapped on the copy when no clone hook is given
+ */
+
+/**
+ * @typedef {object} ComponentTypeInfo
+ * @property {string} name - Name the component type is registerd with
+ * @property {ComponentConstructor} comp - The component type Costrutor to identify the comp
+ * @property {(comp: Component) => unknown} serialize - Converts a component to a JSON compatible value
+ * @property {(data: unknown) => Component} deserialize - Converts the serialized value back to a component
+ * @property {((comp: Component, writer: BinaryWriter) => void) | undefined} encode - Writes a component to the binary format
+ * @property {((reader: BinaryReader) => Component) | undefined} decode - Reads a component written by encode
+ * @property {((comp: Component, remap: Map<EntityID, EntityID>) => Component) | undefined} clone - Creates the copy of a component
+ * @property {string[]} entityFields - Fields holding entity references
+ */
+
+/** @type {Map<string, ComponentTypeInfo>} Registerd component types keyed by name */
+const byName = new Map();
+
+/** @type {Map<ComponentConstructor, ComponentTypeInfo>} Registerd component types keyed by constructor */
+const byComp = new Map();
+
+/**
+ * Function to register a component type with a name so it can be persisted in snapshots
+ * Only the registerd types are written to snapshots
+ * @param {string} name Unique name for the component type
+ * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+ * @param {ComponentTypeOptions} [options] Custom serialization and cloning for the type
+ * @returns {ComponentTypeInfo} The registerd info
+ * @throws {Error} If the name or the type is already registerd with another type or name
+ */
+export function registerComponent(name, comp, options = {}) {
+    if (!name) throw new Error("A name for the component is required");
+    if (!comp) throw new Error("A Type for the component is required");
+
+    const existing = byName.get(name);
+    if (existing !== undefined && existing.comp !== comp) throw new Error(`Name '${name}' is already registerd for another component`);
+
+    if ((options.encode === undefined) !== (options.decode === undefined)) {
+        throw new Error("encode and decode must be given together");
+    }
+
+    const existingName = byComp.get(comp)?.name;
+    if (existingName !== undefined && existingName !== name) throw new Error(`Component is already registerd as '${existingName}'`);
+
+    /** @type {ComponentTypeInfo} */
+    const info = {
+        name,
+        comp,
+        serialize: options.serialize ?? ((component) => ({ ...component })),
+        deserialize: options.deserialize ?? ((data) => Object.assign(Object.create(comp.prototype), data)),
+        encode: options.encode,
+        decode: options.decode,
+        clone: options.clone,
+        entityFields: options.entityFields ?? [],
+    };
+
+    byName.set(name, info);
+    byComp.set(comp, info);
+
+    return info;
+}
+
+/**
+ * Function to get the registerd info of a component type
+ * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+ * @returns {ComponentTypeInfo | undefined} The info, undefined if not registerd
+ */
+export function componentInfo(comp) {
+    return byComp.get(comp);
+}
+
+/**
+ * Function to get the registerd info of a component type by its name
+ * @param {string} name Name the component type is registerd with
+ * @returns {ComponentTypeInfo | undefined} The info, undefined if not registerd
+ */
+export function componentByName(name) {
+    return byName.get(name);
+}
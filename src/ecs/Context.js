@@ -0,0 +1,131 @@
+// @ts-check
+
+import { componentInfo, componentByName } from "./ComponentTypes.js";
+
+/** @import {Component, ComponentConstructor} from './ComponentStore.js' */
+
+/**
+ * @class
+ * @classdesc Storage for singleton resources (time, input, asset cache, ...) keyed by their type Costrutor
+ * @author Bhaumik Talwar
+ */
+export class Context {
+
+    /** @type {Map<ComponentConstructor, Component>} Resources keyed by their type */
+    #resources = new Map();
+
+    /**
+     * Function to create a resource if the context does not have one of the type yet
+     * @param {ComponentConstructor} type The resource type Costrutor
+     * @param {...unknown} args - Args passed to the resource Constructore
+     * @returns {Component} The new or the already existing resource
+     */
+    emplace(type, ...args) {
+        let resource = this.#resources.get(type);
+        if (resource === undefined) {
+            resource = new type(...args);
+            this.#resources.set(type, resource);
+        }
+
+        return resource;
+    }
+
+    /**
+     * Function to set an already created resource replacing the existing one of the type
+     * @param {ComponentConstructor} type The resource type Costrutor
+     * @param {Component} resource The resource object
+     * @returns {Component} The resource
+     */
+    insert(type, resource) {
+        this.#resources.set(type, resource);
+        return resource;
+    }
+
+    /**
+     * Function to get a resource
+     * @param {ComponentConstructor} type The resource type Costrutor
+     * @returns {Component} The resource
+     * @throws {Error} If the context has no resource of the type
+     */
+    get(type) {
+        const resource = this.#resources.get(type);
+        if (resource === undefined) throw new Error("no such resource in context");
+
+        return resource;
+    }
+
+    /**
+     * Function to get a resource if it exists
+     * @param {ComponentConstructor} type The resource type Costrutor
+     * @returns {Component | null} The resource, null if the context has none of the type
+     */
+    tryGet(type) {
+        return this.#resources.get(type) ?? null;
+    }
+
+    /**
+     * Function to check if the context has a resource
+     * @param {ComponentConstructor} type The resource type Costrutor
+     * @returns {boolean} True if the context has a resource of the type
+     */
+    has(type) {
+        return this.#resources.has(type);
+    }
+
+    /**
+     * Function to remove a resource
+     * @param {ComponentConstructor} type The resource type Costrutor
+     * @returns {boolean} True if the resource existed
+     */
+    erase(type) {
+        return this.#resources.delete(type);
+    }
+
+    /**
+     * Function to get the number of resources
+     * @returns {number} Number of resources
+     */
+    len() {
+        return this.#resources.size;
+    }
+
+    /**
+     * Function to remove all the resources
+     */
+    clear() {
+        this.#resources.clear();
+    }
+
+    /**
+     * Function to take a JSON compatible snapshot of the resources
+     * Only the types registerd with registerComponent are included
+     * @returns {Record<string, unknown>} The serialized resources keyed by the registerd name of the type
+     */
+    snapshot() {
+        /** @type {Record<string, unknown>} */
+        const snapshot = {};
+
+        for (const [type, resource] of this.#resources) {
+            const info = componentInfo(type);
+            if (info === undefined) continue;
+
+            snapshot[info.name] = info.serialize(resource);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Function to load the resources of a snapshot, existing resources of the same types are replaced
+     * @param {Record<string, unknown>} snapshot The serialized resources keyed by the registerd name of the type
+     * @throws {Error} If a type of the snapshot is not registerd
+     */
+    load(snapshot) {
+        for (const [name, data] of Object.entries(snapshot)) {
+            const info = componentByName(name);
+            if (info === undefined) throw new Error(`Resource '${name}' is not registerd`);
+
+            this.#resources.set(info.comp, info.deserialize(data));
+        }
+    }
+}
@@ -98,3 +98,22 @@ export function EntityHandleFactory(indexBits, versionBits) {
 export const EntityHandleSmall = EntityHandleFactory(12, 4);
 export const EntityHandleMedium = EntityHandleFactory(20, 12);
 export const EntityHandleLarge = EntityHandleFactory(32, 32);
+
+/**
+ * Function to convert a entity id to a JSON compatible value (BigInt ids are converted to strings)
+ * @param {EntityID} id - The entity id
+ * @returns {number | string} JSON compatible id
+ */
+export function serializeEntity(id) {
+    return typeof id === "bigint" ? id.toString() : id;
+}
+
+/**
+ * Function to convert a serialized entity id back to the id type of the handler
+ * @param {EntityHandle} handler - Entity Handler the id belongs to
+ * @param {number | string | bigint} value - The serialized id
+ * @returns {EntityID} The entity id
+ */
+export function deserializeEntity(handler, value) {
+    return handler.bits.type === EntityType.BigInt ? BigInt(value) : Number(value);
+}
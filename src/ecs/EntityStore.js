@@ -1,6 +1,7 @@
 // @ts-check
 
-import { EntityHandleMedium, EntityType } from "./EntityHandle";
+import { EntityHandleMedium, EntityType, serializeEntity, deserializeEntity } from "./EntityHandle.js";
+import { SLOT_BYTES } from "./SparseSet.js";
 
 /**
  * @import {EntityHandle, EntityID} from './EntityHandle.js'
@@ -12,6 +13,13 @@ const DEFAULT_ENTITY_VALUE = 0;
 /** @type {number} Sentinel value for free_slot */
 const IDX_SENTINEL = -1;
 
+/** @constant VersionOverflow - What to do with a slot when removing its entity would overflow the version bits */
+export const VersionOverflow = Object.freeze({
+    Retire: "retire",
+    Wrap: "wrap",
+    Throw: "throw",
+});
+
 /**
  * @typedef {object} EntityStoreIterator
  * @property {number} index The current index
@@ -26,6 +34,36 @@ const IDX_SENTINEL = -1;
  * @property {number}  [capacity = 1000] Capacity for the Entity Store
  * @property {boolean} [resizable = true] Weather the store can grow dynamically or not
  * @property {boolean} [isTyped = true] Weather the arrays used are typed or not
+ * @property {string} [overflow = VersionOverflow.Retire] What to do when the version of a slot overflows, one of VersionOverflow
+ * Retire never reuses the slot again, Wrap starts again from version 0 (stale handles of the slot can become valid again), Throw refuses the remove
+ * @property {((entity: EntityID) => void) | null} [onVersionWrap = null] Called with the removed entity when its slot version wraps (only with VersionOverflow.Wrap)
+ */
+
+/**
+ * @typedef {object} EntityStoreSnapshot
+ * @property {number} indexBits - Index bits of the Entity Handler used by the store
+ * @property {number} versionBits - Version bits of the Entity Handler used by the store
+ * @property {(number | string)[] | Uint32Array | BigUint64Array} entities - Slots upto the append index, freed slots hold the links of the free list (BigInt ids as strings)
+ * @property {number} appendIndex - Position to append the next entity
+ * @property {number} freeSlot - Head of the free list
+ */
+
+/**
+ * @typedef {object} EntityStoreStats
+ * @property {number} alive - Number of alive entities
+ * @property {number} free - Number of freed slots waiting in the free list to be reused
+ * @property {number} appendIndex - Position to append the next entity
+ * @property {number} capacity - Capacity of the store
+ * @property {number} retired - Number of slots retired after their version overflowed, they are never reused
+ * @property {number} maxVersion - Highest version of any slot
+ * @property {number} bytes - Bytes held by the entity array (estimated for plain arrays)
+ */
+
+/**
+ * @typedef {object} EntityStoreRaw
+ * @property {Uint32Array | BigUint64Array | EntityID[]} entities - The entity array reference (valid upto the append index)
+ * @property {number} appendIndex - Position to append the next entity
+ * @property {number} freeSlot - Head of the free list
  */
 
 /** @constant {EntityStoreOptions} DefaultEntityStoreOptions - The default options to configure the Entity Store */
@@ -34,6 +72,8 @@ export const DefaultEntityStoreOptions = {
     capacity: 1000,
     resizable: true,
     isTyped: true,
+    overflow: VersionOverflow.Retire,
+    onVersionWrap: null,
 };
 
 
@@ -68,10 +108,19 @@ export class EntityStore {
     /** @type {boolean} Weather the store can grow dynamically or not */
     #resizable = true;
 
+    /** @type {string} Policy applied when the version of a slot overflows, one of VersionOverflow */
+    #overflow = VersionOverflow.Retire;
+
+    /** @type {((entity: EntityID) => void) | null} Called when the version of a slot wraps */
+    #onVersionWrap = null;
+
+    /** @type {number} Highest version the Entity Handler can encode */
+    #maxVersion;
 
     /**
      * Construction function for the Entity Store
      * @param {EntityStoreOptions} [config] Entity Handler to govern what type of the entity is it
+     * @throws {Error} If the Entity Handler is missing or the overflow policy is unknown
      */
     constructor(config = DefaultEntityStoreOptions) {
         if (config.handler == null) throw new Error("Entity Handler missing");
@@ -84,6 +133,13 @@ export class EntityStore {
         this.#resizable = config.resizable;
         this.#cap = config.capacity;
 
+        this.#overflow = config.overflow ?? DefaultEntityStoreOptions.overflow ?? VersionOverflow.Retire;
+        if (!/** @type {string[]} */ (Object.values(VersionOverflow)).includes(this.#overflow)) {
+            throw new Error(`Unknown version overflow policy '${this.#overflow}'`);
+        }
+        this.#onVersionWrap = config.onVersionWrap ?? null;
+        this.#maxVersion = 2 ** config.handler.bits.versionBits - 1;
+
         if (config.capacity <= 0) config.capacity = 1000;
 
         this.#INVALID_IDX = (config.handler.bits.type === EntityType.Number) ?
@@ -105,50 +161,181 @@ export class EntityStore {
      * @throws {Error} - Out Of Active Handles
      */
     create() {
-        if (this.#free_slot !== IDX_SENTINEL) {
-            const ent = this.#entities[this.#free_slot];
+        if (this.#free_slot !== IDX_SENTINEL) return this.#reuse();
 
-            const version = this.#entityHandler.version(ent);
-            const next_free_idx = this.#entityHandler.index(ent);
+        if (this.#append_index === this.#INVALID_IDX) throw new Error("Out Of Handles");
 
-            const newEnt = this.#entityHandler.make(this.#free_slot, version);
-            this.#entities[this.#free_slot] = newEnt;
+        if (this.#append_index === this.#cap - 1) this.#grow(this.#cap * 2);
 
-            this.#free_slot = next_free_idx;
-            return newEnt;
+        const entity = this.#entityHandler.make(this.#append_index, 0);
+        this.#entities[this.#append_index] = entity;
+
+        this.#append_index += 1;
+        return entity;
+
+    }
+
+    /**
+     * To create many entities in one pass, the free list is drained first and the rest are appended after growing the store once
+     * @template {EntityID[] | Uint32Array | BigUint64Array} T
+     * @param {number} count Number of entities to create
+     * @param {T} [out] List to write the entities to (from index 0), a new array is used if not given
+     * @returns {T} The list with the new entities
+     * @throws {Error} - Out Of Active Handles or if a typed array out is shorter than count
+     */
+    createMany(count, out) {
+        if (out !== undefined && !Array.isArray(out) && out.length < count) {
+            throw new Error(`Cant write ${count} entities to a typed array of length ${out.length}`);
         }
 
-        if (this.#append_index === this.#INVALID_IDX) throw new Error("Out Of Handles");
+        const result = out ?? /** @type {T} */ (new Array(count));
 
-        if (this.#append_index === this.#cap - 1) {
-            if (!this.#resizable) throw new Error("Limit reached Cant Resize ");
+        // The store is grown before any free slot is reused so a failure leaves it untouched
+        const remaining = count - this.#freeSlots(count);
+        if (remaining > 0) {
+            if (this.#append_index + remaining > Number(this.#INVALID_IDX)) throw new Error("Out Of Handles");
 
-            if (this.#isTypedArray) {
-                const newArr = (this.#entityHandler.bits.type === EntityType.Number) ?
-                    new Uint32Array(this.#cap * 2) :
-                    new BigUint64Array(this.#cap * 2);
+            let capacity = this.#cap;
+            while (this.#append_index + remaining >= capacity) capacity *= 2;
+            if (capacity !== this.#cap) this.#grow(capacity);
+        }
 
-                newArr.set(this.#entities);
-                this.#entities = newArr;
+        let i = 0;
+        while (i < count && this.#free_slot !== IDX_SENTINEL) {
+            result[i++] = this.#reuse();
+        }
 
-            } else {
-                /** @type {EntityID[]} */
-                const entArr = /** @type {EntityID[]} */ (this.#entities);
+        for (; i < count; i++) {
+            const entity = this.#entityHandler.make(this.#append_index, 0);
+            this.#entities[this.#append_index] = entity;
+            this.#append_index += 1;
 
-                const start = entArr.length;
-                entArr.length = this.#cap * 2;
-                entArr.fill(this.#INVALID_IDX, start);
-            }
+            result[i] = entity;
+        }
 
-            this.#cap = this.#cap * 2;
+        return result;
+    }
+
+    /**
+     * To count the slots of the free list without changing it
+     * @param {number} limit Count at which to stop walking the list
+     * @returns {number} Number of free slots, atmost limit
+     */
+    #freeSlots(limit) {
+        let free = 0;
+        let slot = this.#free_slot;
+        while (free < limit && slot !== IDX_SENTINEL && slot < this.#append_index) {
+            free += 1;
+            slot = this.#entityHandler.index(this.#entities[slot]);
         }
 
-        const entity = this.#entityHandler.make(this.#append_index, 0);
-        this.#entities[this.#append_index] = entity;
+        return free;
+    }
 
-        this.#append_index += 1;
-        return entity;
+    /**
+     * To take the head of the free list and make it alive again with its current version
+     * @returns {EntityID} The reused entity
+     */
+    #reuse() {
+        const ent = this.#entities[this.#free_slot];
+
+        const version = this.#entityHandler.version(ent);
+        const next_free_idx = this.#entityHandler.index(ent);
+
+        const newEnt = this.#entityHandler.make(this.#free_slot, version);
+        this.#entities[this.#free_slot] = newEnt;
+
+        // The end of the free list is encoded with all the index bits set, which is never a valid slot
+        this.#free_slot = next_free_idx < this.#append_index ? next_free_idx : IDX_SENTINEL;
+        return newEnt;
+    }
+
+    /**
+     * To grow the entity array to a new capacity
+     * @param {number} capacity The new capacity
+     * @throws {Error} If the store is not resizable
+     */
+    #grow(capacity) {
+        if (!this.#resizable) throw new Error("Limit reached Cant Resize ");
+
+        if (this.#isTypedArray) {
+            const newArr = (this.#entityHandler.bits.type === EntityType.Number) ?
+                new Uint32Array(capacity) :
+                new BigUint64Array(capacity);
+
+            // The array is of the same type as the current one, viewing both as Uint32Array picks the matching set
+            /** @type {Uint32Array} */ (newArr).set(/** @type {Uint32Array} */ (this.#entities));
+            this.#entities = newArr;
+
+        } else {
+            /** @type {EntityID[]} */
+            const entArr = /** @type {EntityID[]} */ (this.#entities);
+
+            const start = entArr.length;
+            entArr.length = capacity;
+            entArr.fill(this.#INVALID_IDX, start);
+        }
+
+        this.#cap = capacity;
+    }
+
+    /**
+     * Function to get the occupancy statistics of the store
+     * @returns {EntityStoreStats} The statistics
+     */
+    stats() {
+        let alive = 0;
+        let maxVersion = 0;
+        for (let i = 0; i < this.#append_index; i++) {
+            const entity = this.#entities[i];
+            if (this.isAlive(entity)) alive += 1;
+
+            maxVersion = Math.max(maxVersion, this.#entityHandler.version(entity));
+        }
+
+        // Retired slots are neither alive nor linked in the free list
+        let free = 0;
+        let slot = this.#free_slot;
+        while (slot !== IDX_SENTINEL && slot < this.#append_index) {
+            free += 1;
+            slot = this.#entityHandler.index(this.#entities[slot]);
+        }
+
+        return {
+            alive,
+            free,
+            retired: this.#append_index - alive - free,
+            appendIndex: this.#append_index,
+            capacity: this.#cap,
+            maxVersion,
+            bytes: Array.isArray(this.#entities) ? this.#cap * SLOT_BYTES : this.#entities.byteLength,
+        };
+    }
+
+    /**
+     * Function to release the memory not needed for the current entities
+     * The slots upto the append index are kept as the freed ones hold the free list
+     * A store which is not resizable keeps its capacity as it could not grow back
+     * @returns {number} Bytes reclaimed (estimated for plain arrays)
+     */
+    shrinkToFit() {
+        if (!this.#resizable) return 0;
 
+        const capacity = this.#append_index + 1;
+        if (capacity >= this.#cap) return 0;
+
+        let reclaimed = 0;
+        if (this.#isTypedArray) {
+            const old = /** @type {Uint32Array | BigUint64Array} */ (this.#entities);
+            reclaimed = (this.#cap - capacity) * old.BYTES_PER_ELEMENT;
+            this.#entities = old.slice(0, capacity);
+        } else {
+            reclaimed = (this.#cap - capacity) * SLOT_BYTES;
+            /** @type {EntityID[]} */ (this.#entities).length = capacity;
+        }
+
+        this.#cap = capacity;
+        return reclaimed;
     }
 
     /**
@@ -161,10 +348,22 @@ export class EntityStore {
         return index < this.#append_index && this.#entities[index] === entity;
     }
 
+    /**
+     * To check if an entity can be removed, so callers removing more state along with the entity can check before changing anything
+     * @param {EntityID} entity The entity to remove
+     * @returns {boolean} False if the entity is not alive or its version would overflow with VersionOverflow.Throw
+     */
+    canRemove(entity) {
+        if (!this.isAlive(entity)) return false;
+
+        return this.#overflow !== VersionOverflow.Throw || this.#entityHandler.version(entity) !== this.#maxVersion;
+    }
+
     /**
      * The entity to remove from the Entity Store
+     * When the version of the slot would overflow the overflow policy of the store decides if the slot is retired, wrapped or the remove fails
      * @param {EntityID} entity The entity to remove
-     * @throws {Error} if entity is not present
+     * @throws {Error} if entity is not present or the version overflows with VersionOverflow.Throw
      */
     remove(entity) {
         if (!this.isAlive(entity)) throw new Error("Invalid Handle to remove");
@@ -172,10 +371,115 @@ export class EntityStore {
         const index = this.#entityHandler.index(entity);
         const version = this.#entityHandler.version(entity);
 
+        if (version === this.#maxVersion) {
+            switch (this.#overflow) {
+            case VersionOverflow.Retire:
+                // Not linked in the free list, the index bits never match the slot so no handle is alive again
+                this.#entities[index] = this.#entityHandler.make(IDX_SENTINEL, version);
+                return;
+            case VersionOverflow.Throw:
+                throw new Error(`Version overflow of entity slot ${index}`);
+            default:
+                this.#onVersionWrap?.(entity);
+            }
+        }
+
         this.#entities[index] = this.#entityHandler.make(this.#free_slot, version + 1);
         this.#free_slot = index;
     }
 
+    /**
+     * To get a JSON compatible snapshot of the store, including the versions and the free list
+     * @returns {EntityStoreSnapshot} The snapshot
+     */
+    snapshot() {
+        const entities = new Array(this.#append_index);
+        for (let i = 0; i < this.#append_index; i++) {
+            entities[i] = serializeEntity(this.#entities[i]);
+        }
+
+        return {
+            indexBits: this.#entityHandler.bits.indexBits,
+            versionBits: this.#entityHandler.bits.versionBits,
+            entities,
+            appendIndex: this.#append_index,
+            freeSlot: this.#free_slot,
+        };
+    }
+
+    /**
+     * To get raw access to the entity array of the store
+     * @returns {EntityStoreRaw} The Raw Data Object
+     */
+    raw() {
+        return { entities: this.#entities, appendIndex: this.#append_index, freeSlot: this.#free_slot };
+    }
+
+    /**
+     * To create a Entity Store from a snapshot, the entities get back the same ids
+     * @param {EntityStoreSnapshot} snapshot The snapshot
+     * @param {EntityStoreOptions} [config] Options to configure the store
+     * @returns {EntityStore} The restored store
+     * @throws {Error} If the snapshot was taken with a different Entity Handler layout
+     */
+    static restore(snapshot, config = DefaultEntityStoreOptions) {
+        const handler = config.handler ?? DefaultEntityStoreOptions.handler;
+        if (handler == null ||
+            handler.bits.indexBits !== snapshot.indexBits ||
+            handler.bits.versionBits !== snapshot.versionBits) {
+            throw new Error("Snapshot was taken with a different Entity Handler layout");
+        }
+
+        const capacity = Math.max(config.capacity ?? 0, snapshot.appendIndex + 1);
+        const store = new EntityStore({ ...config, capacity });
+
+        for (let i = 0; i < snapshot.appendIndex; i++) {
+            store.#entities[i] = deserializeEntity(handler, snapshot.entities[i]);
+        }
+
+        store.#append_index = snapshot.appendIndex;
+        store.#free_slot = snapshot.freeSlot;
+
+        return store;
+    }
+
+    /**
+     * Generator over the alive entities in the order of their index
+     * @yields {EntityID}
+     */
+    *values() {
+        for (let i = 0; i < this.#append_index; i++) {
+            const entity = this.#entities[i];
+            if (this.isAlive(entity)) yield entity;
+        }
+    }
+
+    /**
+     * Iterator protocol of the store, iterates the alive entities like a Set
+     * @yields {EntityID}
+     */
+    *[Symbol.iterator]() {
+        yield* this.values();
+    }
+
+    /**
+     * Generator over the alive entities (same as values like a Set)
+     * @yields {EntityID}
+     */
+    *keys() {
+        yield* this.values();
+    }
+
+    /**
+     * Generator over the alive entities as [entity, entity] pairs like a Set
+     * @yields {[EntityID, EntityID]}
+     */
+    *entries() {
+        for (const entity of this.values()) {
+            yield [entity, entity];
+        }
+    }
+
     /**
      * To get the Iterator to the Store
      * @returns {EntityStoreIterator} iterator
@@ -0,0 +1,151 @@
+// @ts-check
+
+/** @import {Component, ComponentConstructor} from './ComponentStore.js' */
+
+/**
+ * @class
+ * @classdesc Double buffered queue of the events of a single type
+ * Events sent during a frame become readable once the buffers are swapped with update and stay readable for that frame only
+ * @author Bhaumik Talwar
+ */
+export class EventQueue {
+
+    /** @type {ComponentConstructor} The event type Costrutor */
+    #type;
+
+    /** @type {Component[]} Events of the previous frame which are being read */
+    #previous = [];
+
+    /** @type {Component[]} Events sent during the current frame */
+    #current = [];
+
+    /** @type {number} Id of the first event of the previous buffer (events are numbered in the order sent) */
+    #start = 0;
+
+    /**
+     * Costrutor to create an event queue
+     * @param {ComponentConstructor} type The event type Costrutor
+     */
+    constructor(type) {
+        this.#type = type;
+    }
+
+    /**
+     * Function to send an event, it is readable after the next update
+     * @param {Component} event The event, an instance of the event type
+     * @throws {Error} If the event is not of the type of the queue
+     */
+    send(event) {
+        if (!(event instanceof this.#type)) throw new Error(`Event is not a ${this.#type.name}`);
+        this.#current.push(event);
+    }
+
+    /**
+     * Function to swap the buffers, the events of the current frame become readable and the unread ones of the previous frame are dropped
+     */
+    update() {
+        this.#start += this.#previous.length;
+        this.#previous = this.#current;
+        this.#current = [];
+    }
+
+    /**
+     * Function to create a reader with its own cursor, it starts at the first readable event
+     * @returns {EventReader} The reader
+     */
+    reader() {
+        return new EventReader(this, this.#start);
+    }
+
+    /**
+     * Function to get the readable events after a cursor
+     * @param {number} cursor Id of the first event not read yet
+     * @returns {Component[]} The events
+     */
+    since(cursor) {
+        return this.#previous.slice(Math.max(cursor - this.#start, 0));
+    }
+
+    /**
+     * Function to get the id after the last readable event
+     * @returns {number} The id the cursor of a reader which read everything points to
+     */
+    end() {
+        return this.#start + this.#previous.length;
+    }
+
+    /**
+     * Function to get the number of readable events
+     * @returns {number} Number of events of the previous frame
+     */
+    len() {
+        return this.#previous.length;
+    }
+
+    /**
+     * Function to get the number of events sent during the current frame
+     * @returns {number} Number of pending events
+     */
+    pending() {
+        return this.#current.length;
+    }
+
+    /**
+     * Function to drop all the events of both the buffers
+     */
+    clear() {
+        this.#start += this.#previous.length + this.#current.length;
+        this.#previous = [];
+        this.#current = [];
+    }
+}
+
+/**
+ * @class
+ * @classdesc Reader of an event queue keeping its own cursor so each event is read once per reader
+ * @author Bhaumik Talwar
+ */
+export class EventReader {
+
+    /** @type {EventQueue} The queue read from */
+    #queue;
+
+    /** @type {number} Id of the first event not read yet */
+    #cursor;
+
+    /**
+     * Costrutor to create a reader
+     * @param {EventQueue} queue The queue to read from
+     * @param {number} cursor Id of the first event to read
+     */
+    constructor(queue, cursor) {
+        this.#queue = queue;
+        this.#cursor = cursor;
+    }
+
+    /**
+     * Generator over the readable events not read yet by this reader
+     * @yields {Component} The events in the order they were sent
+     */
+    *read() {
+        const events = this.#queue.since(this.#cursor);
+        this.#cursor = this.#queue.end();
+
+        yield* events;
+    }
+
+    /**
+     * Function to get the number of readable events not read yet by this reader
+     * @returns {number} Number of unread events
+     */
+    len() {
+        return this.#queue.since(this.#cursor).length;
+    }
+
+    /**
+     * Function to mark all the readable events as read
+     */
+    clear() {
+        this.#cursor = this.#queue.end();
+    }
+}
@@ -0,0 +1,175 @@
+// @ts-check
+
+import { ComponentStore } from "./ComponentStore.js";
+
+/**
+ * @import {Component, RawComponentData, RawColumnData} from "./ComponentStore.js"
+ * @import {EntityID} from './EntityHandle.js'
+ */
+
+/**
+ * @class
+ * @classdesc Owning Group which keeps the entities having all the owned components
+ * packed at the front of every owned store in the same order
+ * @author Bhaumik Talwar
+ */
+export class Group {
+
+    /** @type {ComponentStore[]} Stores owned by the group */
+    #stores;
+
+    /** @type {number} Length of the packed prefix shared by all the owned stores */
+    #len = 0;
+
+    /**
+     * Constructor for the Group, packs the entities already having all the owned components
+     * @param {ComponentStore[]} stores Comp Stores to be owned by the group
+     * @throws {Error}
+     */
+    constructor(stores) {
+        if (stores == null || stores.length === 0) throw new Error("Atleast one Store is required for a group");
+        if (stores.some((store) => store == null)) throw new Error("Store is Null");
+
+        this.#stores = stores;
+
+        let lead = stores[0];
+        for (const store of stores) {
+            if (store.len() < lead.len()) lead = store;
+        }
+
+        const dense = lead.data();
+        for (let i = 0; i < lead.len(); i++) {
+            this.handleAdd(dense[i]);
+        }
+    }
+
+    /**
+     * Function to know if a store is owned by this group
+     * @param {ComponentStore} store The comp store to check
+     * @returns {boolean} True if the store is owned by the group
+     */
+    owns(store) {
+        return this.#stores.includes(store);
+    }
+
+    /**
+     * Function to know the number of entities in the group
+     * @returns {number} Length of the packed prefix
+     */
+    len() {
+        return this.#len;
+    }
+
+    /**
+     * Function to know if the entity is a part of the group or not
+     * @param {EntityID} entity - EntityID for the entity
+     * @returns {boolean} - True if the entity is in the packed prefix
+     */
+    contains(entity) {
+        const idx = this.#stores[0].index(entity);
+        return idx !== -1 && idx < this.#len;
+    }
+
+    /**
+     * Function to be called after a owned component is added to an entity
+     * Moves the entity to the end of the packed prefix if it now has all the owned components
+     * @param {EntityID} entity - EntityID for the entity
+     */
+    handleAdd(entity) {
+        if (this.contains(entity)) return;
+
+        for (const store of this.#stores) {
+            if (!store.contains(entity)) return;
+        }
+
+        const pos = this.#len;
+        for (const store of this.#stores) {
+            const other = store.data()[pos];
+            if (other !== entity) store.swap(entity, other);
+        }
+
+        this.#len += 1;
+    }
+
+    /**
+     * Function to be called before a owned component is removed from an entity
+     * Moves the entity out of the packed prefix so the swap and pop of the store keeps the prefix intact
+     * @param {EntityID} entity - EntityID for the entity
+     */
+    handleRemove(entity) {
+        if (!this.contains(entity)) return;
+
+        const last = this.#len - 1;
+        for (const store of this.#stores) {
+            const other = store.data()[last];
+            if (other !== entity) store.swap(entity, other);
+        }
+
+        this.#len -= 1;
+    }
+
+    /**
+     * Function to get the Entity list of the group, only the first len() entries are a part of the group
+     * @returns {Uint32Array | BigUint64Array | EntityID[]} - Entity List
+     */
+    data() {
+        return this.#stores[0].data();
+    }
+
+    /**
+     * Function to get raw access to the component data of every owned store in the owned order
+     * The len of each is the length of the group, Schema Components give their columns and Empty (Tag) Components are given as null
+     * @returns {(RawComponentData | RawColumnData | null)[]} The Raw Data Objects
+     */
+    raw() {
+        return this.#stores.map((store) => {
+            if (store.isEmptyComp()) return null;
+            if (store.isSchemaComp()) return { columns: store.rawColumns().columns, len: this.#len };
+
+            return { data: store.raw().data, len: this.#len };
+        });
+    }
+
+    /**
+     * Generator func to iterate over the entities in the group
+     * @yields {EntityID}
+     */
+    *entities() {
+        const dense = this.data();
+        for (let i = 0; i < this.#len; i++) {
+            yield dense[i];
+        }
+    }
+
+    /**
+     * Generator func to iterate over the entities and their components in the group
+     * Yields the entity followed by its components in the owned order, Empty (Tag) Components are given as null
+     * @yields {[EntityID, ...Component[]]}
+     */
+    *each() {
+        const dense = this.data();
+
+        /** @type {((idx: number) => Component)[]} */
+        const getters = this.#stores.map((store) => {
+            if (store.isEmptyComp()) return () => null;
+            if (store.isSchemaComp()) return (/** @type {number} */ idx) => store.get(dense[idx]);
+
+            const data = store.raw().data;
+            return (/** @type {number} */ idx) => data[idx];
+        });
+
+        for (let i = 0; i < this.#len; i++) {
+            yield [dense[i], ...getters.map((getter) => getter(i))];
+        }
+    }
+
+    /**
+     * Function to call a callback for every entity in the group along with its components
+     * @param {(entity: EntityID, ...comps: Component[]) => void} callback - Callback called for each entity
+     */
+    forEach(callback) {
+        for (const [entity, ...comps] of this.each()) {
+            callback(entity, ...comps);
+        }
+    }
+}
@@ -0,0 +1,242 @@
+// @ts-check
+
+import { ComponentStore, ComponentStandard } from "./ComponentStore.js";
+import { DefaultSparseSetOptions } from "./SparseSet.js";
+
+/** @import {EntityID} from './EntityHandle.js' */
+/** @import {SparseSetOptions} from './SparseSet.js' */
+
+/** @constant Traversal - The orders the descendants of an entity can be traversed in */
+export const Traversal = Object.freeze({
+    DepthFirst: "depthFirst",
+    BreadthFirst: "breadthFirst",
+});
+
+/**
+ * @class
+ * @classdesc Node of the hierarchy, the children of a entity are kept as a doubly linked list
+ * @author Bhaumik Talwar
+ */
+export class Relationship {
+    /** @type {EntityID | null} The parent entity */
+    parent = null;
+
+    /** @type {EntityID | null} The first child entity */
+    first = null;
+
+    /** @type {EntityID | null} The last child entity */
+    last = null;
+
+    /** @type {EntityID | null} The previous sibling entity */
+    prev = null;
+
+    /** @type {EntityID | null} The next sibling entity */
+    next = null;
+
+    /** @type {number} Number of children */
+    children = 0;
+}
+
+/**
+ * @class
+ * @classdesc Parent/child relation between entities stored as a Relationship component store
+ * Only the entities having a parent or children have a node in the store
+ * @author Bhaumik Talwar
+ */
+export class Hierarchy {
+
+    /** @type {ComponentStore} The store of the Relationship nodes */
+    #store;
+
+    /**
+     * Costrutor to create the hierarchy
+     * @param {SparseSetOptions} [config] The config for the node store
+     */
+    constructor(config = DefaultSparseSetOptions) {
+        this.#store = new ComponentStore(Relationship, ComponentStandard, config);
+    }
+
+    /**
+     * Function to get the node of an entity
+     * @param {EntityID} entity The entity
+     * @returns {Relationship | null} The node if the entity is part of the hierarchy
+     */
+    #node(entity) {
+        return /** @type {Relationship | null} */ (this.#store.tryGet(entity));
+    }
+
+    /**
+     * Function to get the node of an entity creating it if it does not exist
+     * @param {EntityID} entity The entity
+     * @returns {Relationship} The node
+     * @throws {Error} If the node could not be created
+     */
+    #assure(entity) {
+        const node = this.#node(entity);
+        if (node !== null) return node;
+
+        if (this.#store.add(entity) === -1) throw new Error("Failed to add entity to the hierarchy");
+        return /** @type {Relationship} */ (this.#store.get(entity));
+    }
+
+    /**
+     * Function to drop the node of an entity if it has no parent and no children
+     * @param {EntityID} entity The entity
+     * @param {Relationship} node The node of the entity
+     */
+    #prune(entity, node) {
+        if (node.parent === null && node.children === 0) this.#store.remove(entity);
+    }
+
+    /**
+     * Function to unlink an entity from the children of its parent
+     * @param {EntityID} entity The entity
+     * @param {Relationship} node The node of the entity
+     */
+    #detach(entity, node) {
+        if (node.parent === null) return;
+
+        const parent = /** @type {Relationship} */ (this.#node(node.parent));
+        if (node.prev !== null) /** @type {Relationship} */ (this.#node(node.prev)).next = node.next;
+        else parent.first = node.next;
+        if (node.next !== null) /** @type {Relationship} */ (this.#node(node.next)).prev = node.prev;
+        else parent.last = node.prev;
+        parent.children--;
+
+        const parentID = node.parent;
+        node.parent = node.prev = node.next = null;
+        this.#prune(parentID, parent);
+    }
+
+    /**
+     * Function to set the parent of an entity, the entity is appended to the children of the parent
+     * @param {EntityID} child The child entity
+     * @param {EntityID | null} parent The parent entity, null to make the entity a root
+     * @throws {Error} If the parent is the child or one of its descendants
+     */
+    setParent(child, parent) {
+        /** @type {EntityID | null} */
+        let current = parent;
+        while (current !== null) {
+            if (current === child) throw new Error("Reparenting would create a cycle");
+            current = this.parent(current);
+        }
+
+        const node = parent === null ? this.#node(child) : this.#assure(child);
+        if (node === null || node.parent === parent) return;
+
+        this.#detach(child, node);
+
+        if (parent === null) {
+            this.#prune(child, node);
+            return;
+        }
+
+        const parentNode = this.#assure(parent);
+        node.parent = parent;
+        node.prev = parentNode.last;
+        if (parentNode.last !== null) /** @type {Relationship} */ (this.#node(parentNode.last)).next = child;
+        else parentNode.first = child;
+        parentNode.last = child;
+        parentNode.children++;
+    }
+
+    /**
+     * Function to get the parent of an entity
+     * @param {EntityID} entity The entity
+     * @returns {EntityID | null} The parent, null if the entity is a root
+     */
+    parent(entity) {
+        return this.#node(entity)?.parent ?? null;
+    }
+
+    /**
+     * Function to get the number of children of an entity
+     * @param {EntityID} entity The entity
+     * @returns {number} Number of children
+     */
+    childCount(entity) {
+        return this.#node(entity)?.children ?? 0;
+    }
+
+    /**
+     * Generator over the children of an entity in the order they were attached
+     * @param {EntityID} entity The entity
+     * @yields {EntityID} The child entities
+     */
+    *children(entity) {
+        let current = this.#node(entity)?.first ?? null;
+        while (current !== null) {
+            const next = /** @type {Relationship} */ (this.#node(current)).next;
+            yield current;
+            current = next;
+        }
+    }
+
+    /**
+     * Generator over the descendants of an entity (the entity itself is not included)
+     * @param {EntityID} entity The entity
+     * @param {string} [order] Order of the traversal, one of Traversal
+     * @yields {EntityID} The descendant entities
+     * @throws {Error} If the order is unknown
+     */
+    *descendants(entity, order = Traversal.DepthFirst) {
+        switch (order) {
+        case Traversal.DepthFirst: {
+            const stack = [...this.children(entity)].reverse();
+            while (stack.length > 0) {
+                const current = /** @type {EntityID} */ (stack.pop());
+                yield current;
+
+                const children = [...this.children(current)];
+                for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+            }
+            break;
+        }
+        case Traversal.BreadthFirst: {
+            const queue = [...this.children(entity)];
+            for (let i = 0; i < queue.length; i++) {
+                yield queue[i];
+                queue.push(...this.children(queue[i]));
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown traversal order '${order}'`);
+        }
+    }
+
+    /**
+     * Function to remove an entity from the hierarchy, its children become roots
+     * @param {EntityID} entity The entity
+     */
+    remove(entity) {
+        const node = this.#node(entity);
+        if (node === null) return;
+
+        this.#detach(entity, node);
+        for (const child of [...this.children(entity)]) {
+            const childNode = /** @type {Relationship} */ (this.#node(child));
+            childNode.parent = childNode.prev = childNode.next = null;
+            this.#prune(child, childNode);
+        }
+
+        this.#store.remove(entity);
+    }
+
+    /**
+     * Function to release the memory not needed for the current nodes
+     * @returns {number} Bytes reclaimed (estimated for plain arrays)
+     */
+    shrinkToFit() {
+        return this.#store.shrinkToFit();
+    }
+
+    /**
+     * Function to get the number of entities part of the hierarchy
+     * @returns {number} Number of entities having a parent or children
+     */
+    len() {
+        return this.#store.len();
+    }
+}
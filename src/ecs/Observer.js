@@ -0,0 +1,215 @@
+// @ts-check
+
+import { ComponentStore } from "./ComponentStore.js";
+
+/**
+ * @import {ComponentConstructor} from './ComponentStore.js'
+ * @import {EntityID} from './EntityHandle.js'
+ * @import {Registry} from './Registry.js'
+ */
+
+/**
+ * @typedef {object} ObserverOptions
+ * @property {ComponentConstructor[]} [added=[]] - Component types whose addition to an entity is recorded, an entity having one of them is also recorded when it starts matching the all and none filters
+ * @property {ComponentConstructor[]} [changed=[]] - Component types whose replacement or patch is recorded
+ * @property {ComponentConstructor[]} [removed=[]] - Component types whose removal from an entity is recorded
+ * @property {ComponentConstructor[]} [all=[]] - Component types an entity must also have to be recorded
+ * @property {ComponentConstructor[]} [none=[]] - Component types an entity must not have to be recorded
+ */
+
+/**
+ * @class
+ * @classdesc Observer which collects the entities added to, changed in or removed from a query
+ * since the last time it was cleared, built on the lifecycle signals of the registry
+ * @author Bhaumik Talwar
+ */
+export class Observer {
+
+    /** @type {Registry} Registry being observed */
+    #registry;
+
+    /** @type {ComponentStore[]} Stores of the component types an entity must have */
+    #all;
+
+    /** @type {ComponentStore[]} Stores of the component types an entity must not have */
+    #none;
+
+    /** @type {ComponentStore[]} Stores of the added trigger component types */
+    #addedTriggers;
+
+    /** @type {Set<EntityID>} Entities recorded as added */
+    #added = new Set();
+
+    /** @type {Set<EntityID>} Entities recorded as changed */
+    #changed = new Set();
+
+    /** @type {Set<EntityID>} Entities recorded as removed */
+    #removed = new Set();
+
+    /** @type {(() => void)[]} Functions to disconnect the listeners from the signals */
+    #connections = [];
+
+    /**
+     * Constructor for the Observer, connects to the signals of the trigger component types
+     * Stores for the filter component types not yet registerd are prepared as Standard Components
+     * @param {Registry} registry The registry to observe
+     * @param {ObserverOptions} options The trigger and filter component types
+     * @throws {Error}
+     */
+    constructor(registry, options) {
+        if (registry == null) throw new Error("Registry is Null");
+
+        const { added = [], changed = [], removed = [], all = [], none = [] } = options;
+        if (added.length + changed.length + removed.length === 0) {
+            throw new Error("Atleast one trigger component is required for an observer");
+        }
+
+        this.#registry = registry;
+        this.#all = all.map((comp) => registry.prepare(comp));
+        this.#none = none.map((comp) => registry.prepare(comp));
+        this.#addedTriggers = added.map((comp) => registry.prepare(comp));
+
+        for (const comp of added) {
+            this.#connections.push(registry.onConstruct(comp).connect(this.#recorder(this.#added)));
+            this.#connections.push(registry.onDestroy(comp).connect(this.#forgetter(this.#added)));
+        }
+
+        // An entity already having an added trigger comp enters the query when it gets an all comp or loses a none comp
+        if (added.length > 0) {
+            for (const comp of all) {
+                this.#connections.push(registry.onConstruct(comp).connect(this.#enterer(null)));
+            }
+
+            for (let i = 0; i < none.length; i++) {
+                this.#connections.push(registry.onDestroy(none[i]).connect(this.#enterer(this.#none[i])));
+            }
+        }
+
+        for (const comp of changed) {
+            this.#connections.push(registry.onUpdate(comp).connect(this.#recorder(this.#changed)));
+            this.#connections.push(registry.onDestroy(comp).connect(this.#forgetter(this.#changed)));
+        }
+
+        for (const comp of removed) {
+            this.#connections.push(registry.onDestroy(comp).connect(this.#recorder(this.#removed)));
+        }
+    }
+
+    /**
+     * Function to create a listener which records the entity in the given set if it matches the filters
+     * @param {Set<EntityID>} set The set to record to
+     * @returns {(registry: Registry, entity: EntityID) => void} The listener
+     */
+    #recorder(set) {
+        return (_registry, entity) => {
+            if (this.#matches(entity)) set.add(entity);
+        };
+    }
+
+    /**
+     * Function to create a listener which records the entity as added if it has an added trigger comp and now matches the filters
+     * @param {ComponentStore | null} leaving Store of the none comp being removed, it still holds the entity when onDestroy is emitted
+     * @returns {(registry: Registry, entity: EntityID) => void} The listener
+     */
+    #enterer(leaving) {
+        return (_registry, entity) => {
+            if (!this.#addedTriggers.some((store) => store.contains(entity))) return;
+            if (this.#matches(entity, leaving)) this.#added.add(entity);
+        };
+    }
+
+    /**
+     * Function to create a listener which drops the entity from the given set, used when the trigger comp is removed
+     * @param {Set<EntityID>} set The set to drop from
+     * @returns {(registry: Registry, entity: EntityID) => void} The listener
+     */
+    #forgetter(set) {
+        return (_registry, entity) => {
+            set.delete(entity);
+        };
+    }
+
+    /**
+     * Function to know if the entity matches the filters of the observer
+     * @param {EntityID} entity - EntityID for the entity
+     * @param {ComponentStore | null} [ignored] A none store to skip, for the comp being removed
+     * @returns {boolean} True if the entity has all the required comps and none of excluded
+     */
+    #matches(entity, ignored = null) {
+        for (const store of this.#all) {
+            if (!store.contains(entity)) return false;
+        }
+
+        for (const store of this.#none) {
+            if (store !== ignored && store.contains(entity)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Generator func to iterate over the recorded entities which are still alive and match the filters
+     * @param {Set<EntityID>} set The set to iterate
+     * @yields {EntityID}
+     */
+    *#live(set) {
+        for (const entity of set) {
+            if (this.#registry.valid(entity) && this.#matches(entity)) yield entity;
+        }
+    }
+
+    /**
+     * Generator func to iterate over the entities added since the last clear
+     * Entities which lost the trigger comp, were destroyed or no longer match the filters are skipped
+     * @yields {EntityID}
+     */
+    *added() {
+        yield* this.#live(this.#added);
+    }
+
+    /**
+     * Generator func to iterate over the entities changed since the last clear
+     * Entities which lost the trigger comp, were destroyed or no longer match the filters are skipped
+     * @yields {EntityID}
+     */
+    *changed() {
+        yield* this.#live(this.#changed);
+    }
+
+    /**
+     * Generator func to iterate over the entities removed since the last clear
+     * The entities may no longer be alive
+     * @yields {EntityID}
+     */
+    *removed() {
+        yield* this.#removed;
+    }
+
+    /**
+     * Function to know if nothing was recorded since the last clear
+     * @returns {boolean} True if no entity is recorded
+     */
+    empty() {
+        return this.#added.size === 0 && this.#changed.size === 0 && this.#removed.size === 0;
+    }
+
+    /**
+     * Function to clear all the recorded entities
+     */
+    clear() {
+        this.#added.clear();
+        this.#changed.clear();
+        this.#removed.clear();
+    }
+
+    /**
+     * Function to disconnect the observer from the registry, it will no longer record anything
+     */
+    disconnect() {
+        for (const disconnect of this.#connections) {
+            disconnect();
+        }
+
+        this.#connections = [];
+    }
+}
@@ -0,0 +1,111 @@
+// @ts-check
+
+import { ComponentStandard } from "./ComponentStore.js";
+
+/** @import {ComponentConstructor, ComponentType} from './ComponentStore.js' */
+/** @import {ComponentOptions} from './Registry.js' */
+
+/**
+ * @typedef {[ComponentConstructor, ComponentType?, unknown[]?, ComponentOptions?]} PrefabEntry
+ */
+
+/**
+ * @typedef {object} PrefabOptions
+ * @property {Prefab} [extends] - Prefab whose components are inherited
+ */
+
+/**
+ * @typedef {object} ResolvedEntry
+ * @property {ComponentConstructor} comp - The component type Costrutor to identify the comp
+ * @property {ComponentType} type - Type of the Component
+ * @property {unknown[]} args - Args passed to Component Constructore
+ * @property {ComponentOptions | undefined} config - The config for the component store
+ */
+
+/**
+ * @class
+ * @classdesc A named template of components used to create entities having the same components
+ * The components of the prefab it extends are inherited, an entry for the same component type overrides the inherited one
+ * @author Bhaumik Talwar
+ */
+export class Prefab {
+
+    /** @type {string} Name the prefab is defined with */
+    name;
+
+    /** @type {Prefab | null} The prefab this one extends */
+    parent;
+
+    /** @type {Map<ComponentConstructor, ResolvedEntry>} Components of the prefab with the inherited ones resolved */
+    #entries;
+
+    /**
+     * Costrutor to create a prefab
+     * @param {string} name Name of the prefab
+     * @param {PrefabEntry[]} comps The component entries in the same format as Registry.addComps
+     * @param {PrefabOptions} [options] Options for the prefab
+     * @throws {Error} If an entry is malformed
+     */
+    constructor(name, comps, options = {}) {
+        this.name = name;
+        this.parent = options.extends ?? null;
+        this.#entries = new Map(this.parent === null ? undefined : this.parent.#entries);
+
+        for (const item of comps) {
+            if (!Array.isArray(item) || typeof item[0] !== "function") {
+                throw new Error(`Invalid component entry in prefab '${name}'`);
+            }
+
+            const [comp, type = ComponentStandard, args = [], config] = item;
+            this.#entries.set(comp, { comp, type, args, config });
+        }
+    }
+
+    /**
+     * Function to check if the prefab has a component including the inherited ones
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @returns {boolean} True if the prefab has the component
+     */
+    has(comp) {
+        return this.#entries.has(comp);
+    }
+
+    /**
+     * Function to check if the prefab is or extends another prefab
+     * @param {Prefab} prefab The prefab to check against
+     * @returns {boolean} True if the prefab is or inherits from the given one
+     */
+    is(prefab) {
+        /** @type {Prefab | null} */
+        let current = this;
+        while (current !== null) {
+            if (current === prefab) return true;
+            current = current.parent;
+        }
+
+        return false;
+    }
+
+    /**
+     * Function to get the components of the prefab with the args overriden
+     * A component type in the overrides which is not in the prefab is added as a Standard Component
+     * @param {Map<ComponentConstructor, unknown[]>} [overrides] Args to use instead of the prefab ones keyed by component type
+     * @returns {ResolvedEntry[]} The resolved entries
+     */
+    resolve(overrides) {
+        if (overrides === undefined || overrides.size === 0) return [...this.#entries.values()];
+
+        /** @type {ResolvedEntry[]} */
+        const resolved = [];
+        for (const entry of this.#entries.values()) {
+            const args = overrides.get(entry.comp);
+            resolved.push(args === undefined ? entry : { ...entry, args });
+        }
+
+        for (const [comp, args] of overrides) {
+            if (!this.#entries.has(comp)) resolved.push({ comp, type: ComponentStandard, args, config: undefined });
+        }
+
+        return resolved;
+    }
+}
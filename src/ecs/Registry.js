@@ -3,11 +3,26 @@
 import { EntityStore, DefaultEntityStoreOptions } from "./EntityStore.js";
 import { ComponentStandard, ComponentStore } from "./ComponentStore.js";
 import { DefaultSparseSetOptions } from "./SparseSet.js";
-
-/** @import {Component,ComponentConstructor, ComponentType, RawComponentData} from './ComponentStore.js' */
-/** @import {EntityStoreOptions, EntityStoreIterator} from './EntityStore.js' */
+import { MultiView, TickFilter, TICK_ADDED } from "./Views.js";
+import { Group } from "./Group.js";
+import { Signal } from "./Signal.js";
+import { Observer } from "./Observer.js";
+import { componentInfo, componentByName } from "./ComponentTypes.js";
+import { encodeRegistry, decodeRegistry } from "./Binary.js";
+import { Prefab } from "./Prefab.js";
+import { Hierarchy, Traversal } from "./Hierarchy.js";
+import { Relation, Wildcard } from "./Relation.js";
+import { Context } from "./Context.js";
+import { EventQueue } from "./Events.js";
+
+/** @import {Component,ComponentConstructor, ComponentType, RawComponentData, RawColumnData, StoreSnapshot, StoreStats} from './ComponentStore.js' */
+/** @import {EntityStoreOptions, EntityStoreIterator, EntityStoreSnapshot, EntityStoreStats} from './EntityStore.js' */
 /** @import {EntityID} from './EntityHandle.js' */
-/** @import {SparseSetOptions} from './SparseSet.js' */
+/** @import {SparseSetOptions, SortOptions} from './SparseSet.js' */
+/** @import {ObserverOptions} from './Observer.js' */
+/** @import {EntityHandle} from './EntityHandle.js' */
+/** @import {BinaryStoreEntry} from './Binary.js' */
+/** @import {PrefabEntry} from './Prefab.js' */
 
 /**
  * @typedef {EntityStoreOptions} EntityOptions
@@ -20,6 +35,39 @@ import { DefaultSparseSetOptions } from "./SparseSet.js";
  * @property {number} [pageSize=4096] - Page size for each page of the sparse array (Assumed to be always power of 2)
  * @property {boolean} [replace=true] - Weather to replace the component at time of adding a comp to an aleardy exixting comp of a n entity
  * @property {boolean} [resize=true] - Weather to resize the comp store at time of adding new comp
+ * @property {boolean} [shared=false] - Whether the typed dense list and the Schema columns are backed by a SharedArrayBuffer (to be read from worker threads), set on the registry config it applies to every store
+ */
+
+/**
+ * @typedef {object} RegistryViewOptions
+ * @property {ComponentConstructor[]} [exclude=[]] - Component types an entity must not have to be in the view
+ * @property {number} [since] - Tick the Added and Changed filters are relative to (defaults to the tick the running system last ran)
+ */
+
+/**
+ * @typedef {object} RegistryPrefabOptions
+ * @property {string} [extends] - Name of the prefab whose components are inherited
+ */
+
+/**
+ * @typedef {object} ComponentSignals
+ * @property {Signal<[Registry, EntityID]>} construct - Emitted after the component is added to an entity
+ * @property {Signal<[Registry, EntityID]>} update - Emitted after the component of an entity is replaced
+ * @property {Signal<[Registry, EntityID]>} destroy - Emitted before the component is removed from an entity
+ */
+
+/**
+ * @typedef {object} RegistrySnapshot
+ * @property {number} version - Version of the snapshot format
+ * @property {EntityStoreSnapshot} entities - Snapshot of the Entity Store
+ * @property {Record<string, StoreSnapshot>} components - Snapshot of each Component Store keyed by the registerd name of the type
+ * @property {Record<string, unknown>} [ctx] - Serialized context resources keyed by the registerd name of the type
+ */
+
+/**
+ * @typedef {object} RegistryStats
+ * @property {EntityStoreStats} entities - Statistics of the Entity Store
+ * @property {Map<ComponentConstructor, StoreStats>} components - Statistics of each Component Store keyed by the component type
  */
 
 /**
@@ -37,11 +85,15 @@ export const DefaultRegistryOptions = {
         pageSize: DefaultSparseSetOptions.pageSize,
         replace: true,
         resize: true,
+        shared: DefaultSparseSetOptions.shared,
     },
 };
 
 export const SENTINEL = -1;
 
+/** @constant SNAPSHOT_VERSION - Version of the snapshot format written by the registry */
+const SNAPSHOT_VERSION = 1;
+
 /**
  * @class
  * @classdesc The main class for the ecs system
@@ -54,9 +106,36 @@ export class Registry {
     /** @type {Map<ComponentConstructor, ComponentStore>} */
     #components = new Map();
 
+    /** @type {Map<ComponentConstructor, Group>} Groups keyed by the component types they own */
+    #groups = new Map();
+
+    /** @type {Map<ComponentConstructor, ComponentSignals>} Lifecycle signals keyed by the component type */
+    #signals = new Map();
+
+    /** @type {Map<string, Prefab>} Prefabs keyed by their name */
+    #prefabs = new Map();
+
+    /** @type {Hierarchy} Parent/child relation between the entities */
+    #hierarchy;
+
+    /** @type {Map<ComponentConstructor, Relation>} Relation pairs keyed by the relation type */
+    #relations = new Map();
+
+    /** @type {number} Current tick, stamped on the components added or changed */
+    #tick = 1;
+
+    /** @type {number} Tick at which the running system last ran, the default reference of the Added and Changed filters */
+    #lastRunTick = 0;
+
+    /** @type {Map<ComponentConstructor, EventQueue>} Event queues keyed by the event type */
+    #events = new Map();
+
     /** @type {RegistryOptions} [DefaultRegistyOptions] The Configurations Options to use for registry */
     #config;
 
+    /** @type {Context} Singleton resources of the registry which are not entities */
+    ctx = new Context();
+
     /**
      * Constructor to Createa registry
      * @param {RegistryOptions} [config] configuration for registry
@@ -69,6 +148,7 @@ export class Registry {
 
         this.#config = config;
         this.#entities = new EntityStore(config.entityOptions);
+        this.#hierarchy = new Hierarchy(getCompConfig(config));
     }
 
     /**
@@ -86,7 +166,7 @@ export class Registry {
         compStore = new ComponentStore(comp, CType, getCompConfig(
             {
                 entityOptions: this.#config.entityOptions,
-                componentOptions: config,
+                componentOptions: { ...config, shared: Boolean(config.shared || this.#config.componentOptions.shared) },
             }),
         );
 
@@ -130,10 +210,23 @@ export class Registry {
         throw new Error("CompStore dos not exixt");
     }
 
+    /**
+     * Function to get the raw access to the columns of a Schema Component store
+     * IT will trhow an error if the ComponennetType is not Schema
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @returns {RawColumnData} The Raw Column Object
+     * @throws {Error}
+     */
+    rawColumns(comp) {
+        const compStore = this.#components.get(comp);
+        if (compStore !== undefined) return compStore.rawColumns();
+        throw new Error("CompStore dos not exixt");
+    }
+
     /**
      * Function to get the Entity list that are attached to this Component
      * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
-     * @returns {Uint32Array | EntityID[]} - Entity List
+     * @returns {Uint32Array | BigUint64Array | EntityID[]} - Entity List
      * @throws {Error}
      */
     data(comp) {
@@ -160,14 +253,191 @@ export class Registry {
         return this.#entities.create();
     }
 
+    /**
+     * To create many entities in one pass, the free list of the Entity Store is drained first and the rest are appended
+     * @template {EntityID[] | Uint32Array | BigUint64Array} T
+     * @param {number} count Number of entities to create
+     * @param {T} [out] List to write the entities to (from index 0), a new array is used if not given
+     * @returns {T} The list with the new entities
+     * @throws {Error} - Out Of Active Handles or if a typed array out is shorter than count
+     */
+    createMany(count, out) {
+        return this.#entities.createMany(count, out);
+    }
+
+    /**
+     * To create a new entity with a copy of every component of an entity
+     * The copies are made with the clone hook of the type if registerd, otherwise like getConst
+     * References to the entity in the entityFields of its components point to the new entity, the other references are remapped through the map
+     * The parent, children and relation pairs are not copied
+     * A new entity is always created, an entry of the map for the entity itself is replaced by the clone
+     * @param {EntityID} entity The entity to clone
+     * @param {Map<EntityID, EntityID>} [remap] Entity references to replace in the copies, the entity and its clone are added to it
+     * @returns {EntityID} The new entity
+     * @throws {Error} If the entity does not exist
+     */
+    clone(entity, remap = new Map()) {
+        if (!this.#entities.isAlive(entity)) throw new Error("Entity does not exist");
+
+        const copy = this.create();
+        remap.set(entity, copy);
+        this.#copyComponents(this, entity, copy, remap);
+
+        return copy;
+    }
+
+    /**
+     * To copy every component of an entity into another registry (e.g. from a staging world to the live world)
+     * The components are copied into the entity the map gives for the entity if it is alive in the other registry, otherwise a new entity is created and added to the map
+     * Mapping a group of entities first (e.g. with createMany) lets the references between them be remapped whatever the order they are copied in
+     * @param {Registry} other The registry to copy to (can be this registry)
+     * @param {EntityID} entity The entity to copy
+     * @param {Map<EntityID, EntityID>} [remap] Entities of this registry mapped to the entities of the other registry
+     * @returns {EntityID} The entity the components were copied to
+     * @throws {Error} If the entity does not exist
+     */
+    copyTo(other, entity, remap = new Map()) {
+        if (!this.#entities.isAlive(entity)) throw new Error("Entity does not exist");
+
+        let copy = remap.get(entity);
+        if (copy === undefined || !other.valid(copy)) {
+            copy = other.create();
+            remap.set(entity, copy);
+        }
+
+        this.#copyComponents(other, entity, copy, remap);
+        return copy;
+    }
+
+    /**
+     * Function to copy every component of an entity onto an entity of a registry
+     * @param {Registry} other The registry to copy to (can be this registry)
+     * @param {EntityID} entity The entity to copy
+     * @param {EntityID} copy The alive entity of the other registry to copy to
+     * @param {Map<EntityID, EntityID>} remap Entity references to replace in the copies
+     * @throws {Error} If a component could not be copied
+     */
+    #copyComponents(other, entity, copy, remap) {
+        for (const [comp, compStore] of [...this.#components]) {
+            if (!compStore.contains(entity)) continue;
+
+            const component = compStore.isEmptyComp() ? null : copyComponent(comp, compStore, entity, remap);
+            const target = other.prepare(comp, compStore.componentType());
+            const existed = target.contains(copy);
+
+            if (target.insert(copy, component) === SENTINEL) throw new Error("Failed to copy the component");
+            other.#afterAdd(copy, comp, target, existed, true);
+        }
+    }
+
     /**
      * To remove the entity from all the components and remove it from the EntityStore
+     * The children of the entity become roots unless cascade is set, in which case all the descendants are destroyed too
+     * All the relation pairs the entity is the source or the target of are removed
      * @param {EntityID} entity To check if the entity is correct or not
+     * @param {boolean} [cascade] Weather to destroy the descendants of the entity as well
+     * @throws {Error} If an entity to destroy can not be removed from the EntityStore (VersionOverflow.Throw), nothing is changed then
      */
-    destroy(entity) {
+    destroy(entity, cascade = false) {
         if (!this.valid(entity)) return;
-        this.removeAll(entity);
-        this.#entities.remove(entity);
+
+        const targets = this.#destroyTargets(entity, cascade);
+        for (let i = targets.length - 1; i >= 0; i--) {
+            this.removeAll(targets[i]);
+            this.#hierarchy.remove(targets[i]);
+            for (const relation of this.#relations.values()) relation.removeEntity(targets[i]);
+            this.#entities.remove(targets[i]);
+        }
+    }
+
+    /**
+     * To destroy many entities, the ones not alive are skipped
+     * @param {EntityID[] | Uint32Array | BigUint64Array} entities The entities to destroy
+     * @param {boolean} [cascade] Weather to destroy the descendants of the entities as well
+     * @throws {Error} If an entity to destroy can not be removed from the EntityStore (VersionOverflow.Throw), nothing is changed then
+     */
+    destroyMany(entities, cascade = false) {
+        for (const entity of entities) {
+            if (this.valid(entity)) this.#destroyTargets(entity, cascade);
+        }
+
+        for (const entity of entities) this.destroy(entity, cascade);
+    }
+
+    /**
+     * Function to check if destroy would succeed, so callers can check before changing anything (e.g. a CommandBuffer flush)
+     * @param {EntityID} entity The entity to destroy
+     * @param {boolean} [cascade] Weather the descendants of the entity would be destroyed as well
+     * @returns {boolean} False if the entity or one of the descendants would overflow its version with VersionOverflow.Throw
+     */
+    canDestroy(entity, cascade = false) {
+        if (!this.valid(entity)) return true;
+
+        const targets = cascade ? [entity, ...this.#hierarchy.descendants(entity)] : [entity];
+        return targets.every((target) => this.#entities.canRemove(target));
+    }
+
+    /**
+     * Function to get the entities destroying an entity removes, checking they can all be removed from the EntityStore
+     * @param {EntityID} entity The alive entity to destroy
+     * @param {boolean} cascade Weather the descendants of the entity are destroyed as well
+     * @returns {EntityID[]} The entity followed by its descendants if cascade is set
+     * @throws {Error} If one of them would overflow its version with VersionOverflow.Throw
+     */
+    #destroyTargets(entity, cascade) {
+        const targets = cascade ? [entity, ...this.#hierarchy.descendants(entity)] : [entity];
+        for (const target of targets) {
+            if (!this.#entities.canRemove(target)) {
+                throw new Error(`Version overflow of entity slot ${this.#handler().index(target)}`);
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Function to set the parent of an entity, the entity is appended to the children of the parent
+     * @param {EntityID} child The child entity
+     * @param {EntityID | null} parent The parent entity, null to make the entity a root
+     * @throws {Error} If an entity does not exist or the parent is the child or one of its descendants
+     */
+    setParent(child, parent) {
+        if (!this.#entities.isAlive(child)) throw new Error("Entity does not exist");
+        if (parent !== null && !this.#entities.isAlive(parent)) throw new Error("Parent entity does not exist");
+
+        this.#hierarchy.setParent(child, parent);
+    }
+
+    /**
+     * Function to get the parent of an entity
+     * @param {EntityID} entity The entity
+     * @returns {EntityID | null} The parent, null if the entity is a root or does not exist
+     */
+    parent(entity) {
+        if (!this.#entities.isAlive(entity)) return null;
+        return this.#hierarchy.parent(entity);
+    }
+
+    /**
+     * Generator over the children of an entity in the order they were attached, nothing is yielded if the entity does not exist
+     * @param {EntityID} entity The entity
+     * @yields {EntityID} The child entities
+     */
+    *children(entity) {
+        if (!this.#entities.isAlive(entity)) return;
+        yield* this.#hierarchy.children(entity);
+    }
+
+    /**
+     * Generator over the descendants of an entity (the entity itself is not included), nothing is yielded if the entity does not exist
+     * @param {EntityID} entity The entity
+     * @param {string} [order] Order of the traversal, one of Traversal
+     * @yields {EntityID} The descendant entities
+     * @throws {Error} If the order is unknown
+     */
+    *descendants(entity, order = Traversal.DepthFirst) {
+        if (!this.#entities.isAlive(entity)) return;
+        yield* this.#hierarchy.descendants(entity, order);
     }
 
     /**
@@ -201,12 +471,85 @@ export class Registry {
         }
 
         const compStore = this.prepare(comp, CType, config);
-        return compStore.add(
+        const existed = compStore.contains(entity);
+        const replace = config?.replace ?? DefaultRegistryOptions.componentOptions.replace;
+
+        const status = compStore.add(
             entity,
             args,
-            config?.replace ?? DefaultRegistryOptions.componentOptions.replace,
+            replace,
             config?.resize ?? DefaultRegistryOptions.componentOptions.resize,
         );
+
+        if (status === SENTINEL) return status;
+
+        this.#afterAdd(entity, comp, compStore, existed, replace);
+        return status;
+    }
+
+    /**
+     * Function to add a component to many entities, the capacity of the store is reserved once before filling it
+     * The args are passed to the Component Constructore of every entity, a factory is called with each entity and its index to create the component instead
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {EntityID[] | Uint32Array | BigUint64Array} entities The entities to add the component to
+     * @param {unknown[] | ((entity: EntityID, index: number) => Component)} [argsOrFactory] - Args passed to Component Constructore or a factory creating the component
+     * @param {ComponentType} [CType] Type of the Component
+     * @param {ComponentOptions} [config] The config to customize the comp store creation and usage
+     * @returns {number} - Number of entities the component was added to
+     * @throws {Error} If an entity does not exist
+     */
+    insertMany(
+        comp,
+        entities,
+        argsOrFactory = [],
+        CType = ComponentStandard,
+        config = DefaultRegistryOptions.componentOptions,
+    ) {
+        for (const entity of entities) {
+            if (!this.#entities.isAlive(entity)) throw new Error("Entity does not exist");
+        }
+
+        const compStore = this.prepare(comp, CType, config);
+        const replace = config?.replace ?? DefaultRegistryOptions.componentOptions.replace;
+        const resize = config?.resize ?? DefaultRegistryOptions.componentOptions.resize;
+
+        if (resize) compStore.reserve(compStore.len() + entities.length);
+
+        let added = 0;
+        for (let i = 0; i < entities.length; i++) {
+            const entity = entities[i];
+            const existed = compStore.contains(entity);
+
+            const status = typeof argsOrFactory === "function" ?
+                compStore.insert(entity, argsOrFactory(entity, i), replace, resize) :
+                compStore.add(entity, argsOrFactory, replace, resize);
+
+            if (status === SENTINEL) break;
+
+            this.#afterAdd(entity, comp, compStore, existed, replace);
+            added++;
+        }
+
+        return added;
+    }
+
+    /**
+     * Function to do the bookkeeping after a component was added to an entity (ticks, groups and signals)
+     * @param {EntityID} entity The entity
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {ComponentStore} compStore The store of the component
+     * @param {boolean} existed Weather the entity had the component before
+     * @param {boolean} replace Weather an existing component was replaced
+     */
+    #afterAdd(entity, comp, compStore, existed, replace) {
+        if (!existed) {
+            compStore.markAdded(entity, this.#tick);
+            this.#groups.get(comp)?.handleAdd(entity);
+            this.#signals.get(comp)?.construct.emit(this, entity);
+        } else if (replace) {
+            compStore.markChanged(entity, this.#tick);
+            this.#signals.get(comp)?.update.emit(this, entity);
+        }
     }
 
     /**
@@ -236,6 +579,226 @@ export class Registry {
         }
     }
 
+    /**
+     * Function to get the relations matching a relation type
+     * @param {ComponentConstructor} relation The relation type or Wildcard for all of them
+     * @returns {Relation[]} The matching relations
+     */
+    #relationsOf(relation) {
+        if (relation === Wildcard) return [...this.#relations.values()];
+
+        const found = this.#relations.get(relation);
+        return found === undefined ? [] : [found];
+    }
+
+    /**
+     * Function to add a relation pair from a source to a target entity, the data of an existing pair is replaced
+     * @example registry.relate(archer, Targets, orc)
+     * @param {EntityID} source The source entity
+     * @param {ComponentConstructor} relation The relation type Costrutor (used to create the data of the pair)
+     * @param {EntityID} target The target entity
+     * @param {unknown[]} [args] - Args passed to the relation type Constructore
+     * @throws {Error} If an entity does not exist or the relation is Wildcard
+     */
+    relate(source, relation, target, args = []) {
+        if (!this.#entities.isAlive(source)) throw new Error("Source entity does not exist");
+        if (!this.#entities.isAlive(target)) throw new Error("Target entity does not exist");
+        if (relation === Wildcard) throw new Error("Cant relate with a Wildcard");
+
+        let pairs = this.#relations.get(relation);
+        if (pairs === undefined) {
+            pairs = new Relation(relation, getCompConfig(this.#config));
+            this.#relations.set(relation, pairs);
+        }
+
+        pairs.relate(source, target, args);
+    }
+
+    /**
+     * Function to remove relation pairs of a source entity
+     * @param {EntityID} source The source entity
+     * @param {ComponentConstructor} relation The relation type or Wildcard for all of them
+     * @param {EntityID | typeof Wildcard} target The target entity or Wildcard for all of them
+     * @returns {number} Number of pairs removed
+     */
+    unrelate(source, relation, target) {
+        let removed = 0;
+        for (const pairs of this.#relationsOf(relation)) {
+            const targets = target === Wildcard ? [...pairs.targets(source)] : [/** @type {EntityID} */ (target)];
+            for (const item of targets) {
+                if (pairs.unrelate(source, item)) removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Function to check if a source entity has a relation pair
+     * @param {EntityID} source The source entity
+     * @param {ComponentConstructor} relation The relation type or Wildcard for any of them
+     * @param {EntityID | typeof Wildcard} [target] The target entity or Wildcard for any of them
+     * @returns {boolean} True if a matching pair exists
+     */
+    hasRelation(source, relation, target = Wildcard) {
+        return this.#relationsOf(relation).some((pairs) => (
+            target === Wildcard ? pairs.hasTargets(source) : pairs.has(source, /** @type {EntityID} */ (target))
+        ));
+    }
+
+    /**
+     * Function to get the data of a relation pair
+     * @param {EntityID} source The source entity
+     * @param {ComponentConstructor} relation The relation type Costrutor
+     * @param {EntityID} target The target entity
+     * @returns {Component | null} The data of the pair, null if the pair does not exist
+     */
+    getRelation(source, relation, target) {
+        return this.#relations.get(relation)?.get(source, target) ?? null;
+    }
+
+    /**
+     * Generator over the targets of a source entity, each target is yielded once
+     * @param {EntityID} source The source entity
+     * @param {ComponentConstructor} [relation] The relation type or Wildcard for all of them
+     * @yields {EntityID} The target entities
+     */
+    *targets(source, relation = Wildcard) {
+        const relations = this.#relationsOf(relation);
+        if (relations.length === 1) {
+            yield* relations[0].targets(source);
+            return;
+        }
+
+        const seen = new Set();
+        for (const pairs of relations) {
+            for (const target of pairs.targets(source)) {
+                if (seen.has(target)) continue;
+                seen.add(target);
+                yield target;
+            }
+        }
+    }
+
+    /**
+     * Generator over the entities having a relation pair to a target, each source is yielded once
+     * @example registry.sources(Targets, orc)
+     * @param {ComponentConstructor} relation The relation type or Wildcard for all of them
+     * @param {EntityID | typeof Wildcard} [target] The target entity or Wildcard for all the entities which are the source of a pair
+     * @yields {EntityID} The source entities
+     */
+    *sources(relation, target = Wildcard) {
+        const relations = this.#relationsOf(relation);
+        const seen = new Set();
+        for (const pairs of relations) {
+            const sources = target === Wildcard ? pairs.allSources() : pairs.sources(/** @type {EntityID} */ (target));
+            for (const source of sources) {
+                if (relations.length > 1) {
+                    if (seen.has(source)) continue;
+                    seen.add(source);
+                }
+
+                yield source;
+            }
+        }
+    }
+
+    /**
+     * Generator over all the pairs of a relation type
+     * @param {ComponentConstructor} relation The relation type or Wildcard for all of them
+     * @yields {[EntityID, EntityID, Component]} The source, target and data of each pair
+     */
+    *pairs(relation) {
+        for (const pairs of this.#relationsOf(relation)) {
+            yield* pairs.pairs();
+        }
+    }
+
+    /**
+     * Function to get the event queue of an event type creating it if it does not exist
+     * @example registry.events(CollisionEvent).send(new CollisionEvent(a, b))
+     * @param {ComponentConstructor} type The event type Costrutor
+     * @returns {EventQueue} The event queue
+     */
+    events(type) {
+        let queue = this.#events.get(type);
+        if (queue === undefined) {
+            queue = new EventQueue(type);
+            this.#events.set(type, queue);
+        }
+
+        return queue;
+    }
+
+    /**
+     * Function to swap the buffers of all the event queues, called by the World after each step
+     */
+    updateEvents() {
+        for (const queue of this.#events.values()) queue.update();
+    }
+
+    /**
+     * Function to define a named prefab which can be instantiated any number of times
+     * @example registry.definePrefab("Orc", [[Health, ComponentStandard, [50]]], { extends: "Enemy" })
+     * @param {string} name Unique name for the prefab
+     * @param {PrefabEntry[]} comps The component entries in the same format as addComps
+     * @param {RegistryPrefabOptions} [options] Options for the prefab
+     * @returns {Prefab} The defined prefab
+     * @throws {Error} If the name is already defined, the extended prefab is not defined or an entry is malformed
+     */
+    definePrefab(name, comps = [], options = {}) {
+        if (!name) throw new Error("A name for the prefab is required");
+        if (this.#prefabs.has(name)) throw new Error(`Prefab '${name}' is already defined`);
+
+        /** @type {Prefab | undefined} */
+        let parent;
+        if (options.extends !== undefined) {
+            parent = this.#prefabs.get(options.extends);
+            if (parent === undefined) throw new Error(`Prefab '${options.extends}' is not defined`);
+        }
+
+        const prefab = new Prefab(name, comps, { extends: parent });
+        this.#prefabs.set(name, prefab);
+
+        return prefab;
+    }
+
+    /**
+     * Function to get a defined prefab
+     * @param {string} name Name of the prefab
+     * @returns {Prefab | undefined} The prefab if defined
+     */
+    prefab(name) {
+        return this.#prefabs.get(name);
+    }
+
+    /**
+     * Function to create an entity with all the components of a prefab
+     * @example registry.instantiate("Orc", [[Health, [80]]])
+     * @param {string} name Name of the prefab
+     * @param {[ComponentConstructor, unknown[]][]} [overrides] Constructor args to use instead of the prefab ones for the given component types
+     * @returns {EntityID} The created entity
+     * @throws {Error} If the prefab is not defined or a component could not be added (the entity is destroyed then)
+     */
+    instantiate(name, overrides) {
+        const prefab = this.#prefabs.get(name);
+        if (prefab === undefined) throw new Error(`Prefab '${name}' is not defined`);
+
+        const entries = prefab.resolve(overrides === undefined ? undefined : new Map(overrides));
+        const entity = this.#entities.create();
+
+        try {
+            for (const entry of entries) {
+                this.add(entity, entry.comp, entry.type, entry.args, entry.config);
+            }
+        } catch (err) {
+            this.destroy(entity);
+            throw err;
+        }
+
+        return entity;
+    }
+
     /**
      * A function to replace the component if it exists for an entity
      * @param {EntityID} entity To check if the entity is correct or not
@@ -254,7 +817,13 @@ export class Registry {
 
         if (!compStore.contains(entity)) throw new Error("No such entity is registerd for comp");
 
-        return compStore.add(entity, args, true, true);
+        const status = compStore.add(entity, args, true, true);
+        if (status !== SENTINEL) {
+            compStore.markChanged(entity, this.#tick);
+            this.#signals.get(comp)?.update.emit(this, entity);
+        }
+
+        return status;
     }
 
     /**
@@ -275,12 +844,41 @@ export class Registry {
 
         if (!compStore.contains(entity)) throw new Error("No such entity is registerd for comp");
 
-        const oldComp = compStore.get(entity);
-        compStore.add(entity, args, true, true);
+        // Accessors of Schema Components would reflect the new values so a copy is fetched
+        const oldComp = compStore.isSchemaComp() ? compStore.getConst(entity) : compStore.get(entity);
+        const status = compStore.add(entity, args, true, true);
+        if (status !== SENTINEL) {
+            compStore.markChanged(entity, this.#tick);
+            this.#signals.get(comp)?.update.emit(this, entity);
+        }
 
         return oldComp;
     }
 
+    /**
+     * A function to mutate the component of an entity in place and mark it as updated
+     * @param {EntityID} entity To check if the entity is correct or not
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {(comp: Component) => void} [func] Function called with the component to mutate it
+     * @returns {Component} - Returns the patched component
+     * @throws {Error}
+     */
+    patch(entity, comp, func) {
+        if (!this.#entities.isAlive(entity)) {
+            throw new Error("Entity does not exist");
+        }
+
+        const compStore = this.#components.get(comp);
+        if (compStore === undefined) throw new Error("no such component registerd");
+
+        const component = compStore.get(entity);
+        if (func !== undefined) func(component);
+
+        compStore.markChanged(entity, this.#tick);
+        this.#signals.get(comp)?.update.emit(this, entity);
+        return component;
+    }
+
     /**
      * Removes given entity from a compoent
      * @param {EntityID} entity To check if the entity is correct or not
@@ -296,7 +894,8 @@ export class Registry {
         const compStore = this.#components.get(comp);
         if (compStore === undefined) throw new Error("no such component registerd");
 
-        return compStore.remove(entity);
+        if (!compStore.contains(entity)) return SENTINEL;
+        return this.#removeFrom(entity, comp, compStore);
     }
 
     /**
@@ -315,7 +914,7 @@ export class Registry {
         if (compStore === undefined) return SENTINEL;
 
         if (!compStore.contains(entity)) return SENTINEL;
-        return compStore.remove(entity);
+        return this.#removeFrom(entity, comp, compStore);
     }
 
     /**
@@ -328,12 +927,75 @@ export class Registry {
             throw new Error("Entity does not exist");
         }
 
-        for (const compStore of this.#components.values()) {
+        for (const [comp, compStore] of this.#components) {
             if (!compStore.contains(entity)) continue;
-            compStore.remove(entity);
+            this.#removeFrom(entity, comp, compStore);
         }
     }
 
+    /**
+     * Removes the entity from a comp store it is set in, emits the destroy signal and keeps the owning group packed
+     * @param {EntityID} entity The entity to remove
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @param {ComponentStore} compStore The comp store for the comp
+     * @returns {number} Success - 0, -1 for Failure
+     */
+    #removeFrom(entity, comp, compStore) {
+        this.#signals.get(comp)?.destroy.emit(this, entity);
+
+        // The listener may have already removed the component
+        if (!compStore.contains(entity)) return SENTINEL;
+
+        this.#groups.get(comp)?.handleRemove(entity);
+        return compStore.remove(entity);
+    }
+
+    /**
+     * Function to get the signals of a component type, creates them if not present
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @returns {ComponentSignals} The signals for the comp
+     */
+    #signalsOf(comp) {
+        let signals = this.#signals.get(comp);
+        if (signals === undefined) {
+            signals = { construct: new Signal(), update: new Signal(), destroy: new Signal() };
+            this.#signals.set(comp, signals);
+        }
+
+        return signals;
+    }
+
+    /**
+     * Signal emitted after a component of the given type is added to an entity
+     * Listeners are called with the registry and the entity
+     * @example registry.onConstruct(Transform).connect((registry, entity) => {})
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @returns {Signal<[Registry, EntityID]>} The construct signal for the comp
+     */
+    onConstruct(comp) {
+        return this.#signalsOf(comp).construct;
+    }
+
+    /**
+     * Signal emitted after a component of the given type is replaced for an entity
+     * Listeners are called with the registry and the entity
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @returns {Signal<[Registry, EntityID]>} The update signal for the comp
+     */
+    onUpdate(comp) {
+        return this.#signalsOf(comp).update;
+    }
+
+    /**
+     * Signal emitted before a component of the given type is removed from an entity
+     * Listeners are called with the registry and the entity, the component can still be read
+     * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+     * @returns {Signal<[Registry, EntityID]>} The destroy signal for the comp
+     */
+    onDestroy(comp) {
+        return this.#signalsOf(comp).destroy;
+    }
+
     /**
      * Function to see if a entity has a compoennet or not
      * @param {EntityID} entity To check if the entity is correct or not
@@ -417,20 +1079,318 @@ export class Registry {
     }
 
     /**
-     * Function to Sort the Component Store based on comparator function that based on component alone
-     * Expects same signature and behaviour as comparator func passed to Array.Ssort
+     * Function to create a view over the entities having all the given components and none of the excluded ones
+     * The last argument can be a options object to pass the exclude filters
+     * Component types wrapped with Added or Changed are included and filtered on the tick the running system last ran
+     * Stores for the component types not yet registerd are prepared as Standard Components
+     * @example registry.view(Position, Changed(Velocity), { exclude: [Frozen] })
+     * @param {...(ComponentConstructor | TickFilter | RegistryViewOptions)} args Component types to include followed by optional options
+     * @returns {MultiView} The view over the component stores
+     * @throws {Error}
+     */
+    view(...args) {
+        /** @type {RegistryViewOptions} */
+        let options = {};
+        const last = args[args.length - 1];
+        if (args.length > 0 && typeof last !== "function" && !(last instanceof TickFilter)) {
+            options = /** @type {RegistryViewOptions} */ (args.pop());
+        }
+
+        if (args.length === 0) throw new Error("Atleast one component is required for a view");
+
+        /** @type {ComponentStore[]} */
+        const added = [];
+
+        /** @type {ComponentStore[]} */
+        const changed = [];
+
+        const includes = args.map((arg) => {
+            if (!(arg instanceof TickFilter)) return this.prepare(/** @type {ComponentConstructor} */ (arg));
+
+            const store = this.prepare(arg.comp);
+            (arg.kind === TICK_ADDED ? added : changed).push(store);
+            return store;
+        });
+
+        return new MultiView(includes, {
+            exclude: (options.exclude ?? []).map((comp) => this.prepare(comp)),
+            added,
+            changed,
+            since: options.since ?? this.#lastRunTick,
+        });
+    }
+
+    /**
+     * Function to get the current tick, stamped on the components added or changed
+     * @returns {number} The current tick
+     */
+    tick() {
+        return this.#tick;
+    }
+
+    /**
+     * Function to advance the current tick, the World does it before every system and after every step
+     * @returns {number} The new tick
+     */
+    advanceTick() {
+        this.#tick += 1;
+        return this.#tick;
+    }
+
+    /**
+     * Function to get the tick at which the running system last ran
+     * @returns {number} The tick, 0 if the system never ran
+     */
+    lastRunTick() {
+        return this.#lastRunTick;
+    }
+
+    /**
+     * Function to set the tick at which the running system last ran, the World does it before every system
+     * Only the tick of the last started system is held, async systems get their own from the World
+     * @param {number} tick The tick
+     */
+    setLastRunTick(tick) {
+        this.#lastRunTick = tick;
+    }
+
+    /**
+     * Function to create an observer collecting the entities added to, changed in or removed from a query
+     * @example registry.observer({ changed: [Position], all: [Renderable] })
+     * @param {ObserverOptions} options The trigger and filter component types
+     * @returns {Observer} The observer connected to the registry
+     * @throws {Error}
+     */
+    observer(options) {
+        return new Observer(this, options);
+    }
+
+    /**
+     * Function to create a owning group over the given components or get the existing one
+     * The group keeps the entities having all the components packed at the front of each store in the same order
+     * A component type can only be owned by a single group
+     * @param {...ComponentConstructor} comps Component types to be owned by the group
+     * @returns {Group} The group owning the component stores
+     * @throws {Error}
+     */
+    group(...comps) {
+        if (comps.length === 0) throw new Error("Atleast one component is required for a group");
+
+        const existing = this.#groups.get(comps[0]);
+        if (existing !== undefined) {
+            const owned = [...this.#groups].filter(([, group]) => group === existing).map(([comp]) => comp);
+            if (owned.length === comps.length && comps.every((comp) => owned.includes(comp))) return existing;
+        }
+
+        if (comps.some((comp) => this.#groups.has(comp))) {
+            throw new Error("Component is already owned by another group");
+        }
+
+        const group = new Group(comps.map((comp) => this.prepare(comp)));
+        for (const comp of comps) {
+            this.#groups.set(comp, group);
+        }
+
+        return group;
+    }
+
+    /**
+     * Function to Sort the Component Store based on comparator function
+     * Expects same signature and behaviour as comparator func passed to Array.Ssort, the entities are passed after the components
+     * @example registry.sort(Sprite, (a, b) => a.depth - b.depth, { stable: true })
      * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
-     * @param {(a:Component, b:Component) => number} comparatorFunc - Function to compare and sort the dense array
+     * @param {(a:Component, b:Component, entityA:EntityID, entityB:EntityID) => number} comparatorFunc - Function to compare and sort the dense array
+     * @param {SortOptions} [options] - Options for the sort
      * @returns {number} weather the operaions is succes or faileed
      * @throws {Error}
      */
-    sort(comp, comparatorFunc) {
+    sort(comp, comparatorFunc, options = {}) {
         const compStore = this.#components.get(comp);
         if (compStore === undefined) throw new Error("no such component registerd");
+        if (this.#groups.has(comp)) throw new Error("Cant sort a component owned by a group");
+
+        return compStore.sort(comparatorFunc, options);
+    }
+
+    /**
+     * Function to get the occupancy and memory statistics of the entities and of every component store
+     * @returns {RegistryStats} The statistics
+     */
+    stats() {
+        /** @type {Map<ComponentConstructor, StoreStats>} */
+        const components = new Map();
+        for (const [comp, compStore] of this.#components) components.set(comp, compStore.stats());
+
+        return { entities: this.#entities.stats(), components };
+    }
+
+    /**
+     * Function to release the memory not needed for the current entities and components (e.g. after unloading a level)
+     * Every store is shrunk to fit, the component stores keep atleast their pool size and a non resizable entity store is left as is
+     * so the stores which cannot grow back still hold what they were configured for
+     * @returns {number} Bytes reclaimed (estimated for plain arrays)
+     */
+    compact() {
+        let reclaimed = this.#entities.shrinkToFit() + this.#hierarchy.shrinkToFit();
+
+        for (const compStore of this.#components.values()) reclaimed += compStore.shrinkToFit();
+        for (const relation of this.#relations.values()) reclaimed += relation.shrinkToFit();
+
+        return reclaimed;
+    }
+
+    /**
+     * Function to sort a Component Store to match the order of another one (respect)
+     * The entities also having the source component come first in the order of the source store, the rest are moved to the back
+     * @example registry.sortAs(Sprite, Transform)
+     * @param {ComponentConstructor} target The component type whose store is reordered
+     * @param {ComponentConstructor} source The component type whose order is to be respected
+     * @returns {number} weather the operaions is succes or faileed
+     * @throws {Error}
+     */
+    sortAs(target, source) {
+        const targetStore = this.#components.get(target);
+        const sourceStore = this.#components.get(source);
+        if (targetStore === undefined || sourceStore === undefined) throw new Error("no such component registerd");
+        if (this.#groups.has(target)) throw new Error("Cant sort a component owned by a group");
+
+        return targetStore.sortAs(sourceStore);
+    }
 
-        return compStore.sortBasedComponent(comparatorFunc);
+    /**
+     * Function to take a JSON compatible snapshot of the registry
+     * Only the component and context resource types registerd with registerComponent are included
+     * @returns {RegistrySnapshot} The snapshot
+     */
+    snapshot() {
+        /** @type {Record<string, StoreSnapshot>} */
+        const components = {};
+
+        for (const [comp, compStore] of this.#components) {
+            const info = componentInfo(comp);
+            if (info === undefined) continue;
+
+            components[info.name] = compStore.snapshot(info.serialize);
+        }
+
+        return {
+            version: SNAPSHOT_VERSION,
+            entities: this.#entities.snapshot(),
+            components,
+            ctx: this.ctx.snapshot(),
+        };
+    }
+
+    /**
+     * Function to create a registry from a snapshot, the entities get back the same ids
+     * so references to entities stored inside components stay valid
+     * @param {RegistrySnapshot} snapshot The snapshot
+     * @param {RegistryOptions} [config] configuration for registry (must use the same entity handler as the snapshot)
+     * @returns {Registry} The restored registry
+     * @throws {Error} If the snapshot is of a different version, layout or has a component type not registerd
+     */
+    static restore(snapshot, config = DefaultRegistryOptions) {
+        if (snapshot.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+
+        const registry = Registry.#load(snapshot.entities, snapshot.components, config, false);
+        if (snapshot.ctx !== undefined) registry.ctx.load(snapshot.ctx);
+
+        return registry;
+    }
+
+    /**
+     * Function to encode the registry to the compact binary format
+     * Only the component and resource types registerd with registerComponent are included (the resources as JSON of the serialized value),
+     * Standard Components use the encode hook of their type and fall back to JSON of the serialized value
+     * @returns {ArrayBuffer} The encoded registry
+     */
+    toBinary() {
+        /** @type {BinaryStoreEntry[]} */
+        const entries = [];
+
+        for (const [comp, compStore] of this.#components) {
+            const info = componentInfo(comp);
+            if (info === undefined) continue;
+
+            entries.push({ info, store: compStore });
+        }
+
+        return encodeRegistry(this.#handler(), this.#entities.raw(), entries, this.ctx.snapshot());
+    }
+
+    /**
+     * Function to create a registry from the binary format, the entities get back the same ids
+     * @param {ArrayBuffer} buffer The encoded registry
+     * @param {RegistryOptions} [config] configuration for registry (must use the same entity handler as the encoded one)
+     * @returns {Registry} The decoded registry
+     * @throws {Error} If the buffer is of a different format, version, entity layout or has a component or resource type not registerd
+     */
+    static fromBinary(buffer, config = DefaultRegistryOptions) {
+        const handler = config.entityOptions.handler ?? DefaultRegistryOptions.entityOptions.handler;
+        const decoded = decodeRegistry(buffer, /** @type {EntityHandle} */ (handler), componentByName);
+
+        const registry = Registry.#load(decoded.entities, decoded.components, config, true);
+        registry.ctx.load(decoded.ctx);
+
+        return registry;
+    }
+
+    /**
+     * Function to create a registry and load the entities and component stores into it
+     * @param {EntityStoreSnapshot} entities Snapshot of the Entity Store
+     * @param {Record<string, StoreSnapshot>} components Snapshot of each Component Store keyed by the registerd name of the type
+     * @param {RegistryOptions} config configuration for registry
+     * @param {boolean} decoded Weather the components of the snapshots are already deserialized
+     * @returns {Registry} The loaded registry
+     * @throws {Error}
+     */
+    static #load(entities, components, config, decoded) {
+        const registry = new Registry(config);
+        registry.#entities = EntityStore.restore(entities, config.entityOptions);
+
+        for (const [name, storeSnapshot] of Object.entries(components)) {
+            const info = componentByName(name);
+            if (info === undefined) throw new Error(`Component '${name}' is not registerd`);
+
+            const deserialize = decoded ? (/** @type {Component} */ comp) => comp : info.deserialize;
+            const status = registry.prepare(info.comp, storeSnapshot.type).load(storeSnapshot, deserialize);
+            if (status === SENTINEL) throw new Error(`Failed to load component '${name}'`);
+        }
+
+        return registry;
+    }
+
+    /**
+     * Function to get the Entity Handler used by the registry
+     * @returns {EntityHandle} The Entity Handler
+     */
+    #handler() {
+        return /** @type {EntityHandle} */ (this.#config.entityOptions.handler ?? DefaultRegistryOptions.entityOptions.handler);
+    }
+
+}
+
+/**
+ * Helper function to create the copy of the component of an entity for clone and copyTo
+ * @param {ComponentConstructor} comp The component type Costrutor to identify the comp
+ * @param {ComponentStore} compStore The store of the component
+ * @param {EntityID} entity The entity
+ * @param {Map<EntityID, EntityID>} remap Entity references to replace in the copy
+ * @returns {Component} The copy
+ */
+function copyComponent(comp, compStore, entity, remap) {
+    const info = componentInfo(comp);
+    if (info?.clone !== undefined) return info.clone(compStore.get(entity), remap);
+
+    const copy = compStore.getConst(entity);
+    for (const field of info?.entityFields ?? []) {
+        const value = copy[field];
+        copy[field] = Array.isArray(value) ?
+            value.map((item) => remap.get(item) ?? item) :
+            remap.get(value) ?? value;
     }
 
+    return copy;
 }
 
 /**
@@ -444,5 +1404,6 @@ function getCompConfig(regConfig) {
         pageSize: regConfig.componentOptions.pageSize,
         poolSize: regConfig.componentOptions.poolSize,
         typedArray: regConfig.componentOptions.typedArray,
+        shared: regConfig.componentOptions.shared,
     };
 }
@@ -0,0 +1,251 @@
+// @ts-check
+
+import { ComponentStore, ComponentStandard } from "./ComponentStore.js";
+import { DefaultSparseSetOptions } from "./SparseSet.js";
+
+/** @import {Component, ComponentConstructor} from './ComponentStore.js' */
+/** @import {EntityID} from './EntityHandle.js' */
+/** @import {SparseSetOptions} from './SparseSet.js' */
+
+/**
+ * @class
+ * @classdesc Placeholder matching any relation type or any target in relation queries
+ * @author Bhaumik Talwar
+ */
+export class Wildcard {}
+
+/**
+ * @class
+ * @classdesc The targets of a source entity for a relation type with the data of each pair
+ * @author Bhaumik Talwar
+ */
+class PairTargets {
+    /** @type {EntityID} The source entity */
+    source;
+
+    /** @type {Map<EntityID, Component>} Data of the pair keyed by the target */
+    targets = new Map();
+
+    /**
+     * Costrutor to create the targets of a source
+     * @param {EntityID} source The source entity
+     */
+    constructor(source) {
+        this.source = source;
+    }
+}
+
+/**
+ * @class
+ * @classdesc The sources pointing to a target entity for a relation type
+ * @author Bhaumik Talwar
+ */
+class PairSources {
+    /** @type {Set<EntityID>} The source entities */
+    sources = new Set();
+}
+
+/**
+ * @class
+ * @classdesc All the (source, target) pairs of a single relation type
+ * Both directions are indexed so the targets of a source and the sources of a target are found without a scan
+ * @author Bhaumik Talwar
+ */
+export class Relation {
+
+    /** @type {ComponentConstructor} The relation type Costrutor used to create the data of a pair */
+    #type;
+
+    /** @type {ComponentStore} Targets keyed by the source entity */
+    #outgoing;
+
+    /** @type {ComponentStore} Sources keyed by the target entity */
+    #incoming;
+
+    /** @type {number} Number of pairs */
+    #count = 0;
+
+    /**
+     * Costrutor to create the pairs of a relation type
+     * @param {ComponentConstructor} type The relation type Costrutor
+     * @param {SparseSetOptions} [config] The config for the pair stores
+     */
+    constructor(type, config = DefaultSparseSetOptions) {
+        this.#type = type;
+        this.#outgoing = new ComponentStore(PairTargets, ComponentStandard, config);
+        this.#incoming = new ComponentStore(PairSources, ComponentStandard, config);
+    }
+
+    /**
+     * Function to get the targets of a source
+     * @param {EntityID} source The source entity
+     * @returns {PairTargets | null} The targets if the source has any
+     */
+    #targetsOf(source) {
+        return /** @type {PairTargets | null} */ (this.#outgoing.tryGet(source));
+    }
+
+    /**
+     * Function to get the sources of a target
+     * @param {EntityID} target The target entity
+     * @returns {PairSources | null} The sources if the target has any
+     */
+    #sourcesOf(target) {
+        return /** @type {PairSources | null} */ (this.#incoming.tryGet(target));
+    }
+
+    /**
+     * Function to add a pair, the data of an existing pair is replaced
+     * @param {EntityID} source The source entity
+     * @param {EntityID} target The target entity
+     * @param {unknown[]} [args] - Args passed to the relation type Constructore
+     * @throws {Error} If the pair could not be stored
+     */
+    relate(source, target, args = []) {
+        let targets = this.#targetsOf(source);
+        if (targets === null) {
+            if (this.#outgoing.add(source, [source]) === -1) throw new Error("Failed to store the relation");
+            targets = /** @type {PairTargets} */ (this.#outgoing.get(source));
+        }
+
+        let sources = this.#sourcesOf(target);
+        if (sources === null) {
+            if (this.#incoming.add(target) === -1) throw new Error("Failed to store the relation");
+            sources = /** @type {PairSources} */ (this.#incoming.get(target));
+        }
+
+        if (!targets.targets.has(target)) this.#count++;
+        targets.targets.set(target, new this.#type(...args));
+        sources.sources.add(source);
+    }
+
+    /**
+     * Function to remove a pair
+     * @param {EntityID} source The source entity
+     * @param {EntityID} target The target entity
+     * @returns {boolean} True if the pair existed
+     */
+    unrelate(source, target) {
+        const targets = this.#targetsOf(source);
+        if (targets === null || !targets.targets.delete(target)) return false;
+        if (targets.targets.size === 0) this.#outgoing.remove(source);
+
+        const sources = /** @type {PairSources} */ (this.#sourcesOf(target));
+        sources.sources.delete(source);
+        if (sources.sources.size === 0) this.#incoming.remove(target);
+
+        this.#count--;
+        return true;
+    }
+
+    /**
+     * Function to check if a pair exists
+     * @param {EntityID} source The source entity
+     * @param {EntityID} target The target entity
+     * @returns {boolean} True if the pair exists
+     */
+    has(source, target) {
+        return this.#targetsOf(source)?.targets.has(target) ?? false;
+    }
+
+    /**
+     * Function to check if an entity is the source of any pair
+     * @param {EntityID} source The source entity
+     * @returns {boolean} True if the entity has a target
+     */
+    hasTargets(source) {
+        return this.#outgoing.contains(source);
+    }
+
+    /**
+     * Function to check if an entity is the target of any pair
+     * @param {EntityID} target The target entity
+     * @returns {boolean} True if the entity has a source
+     */
+    hasSources(target) {
+        return this.#incoming.contains(target);
+    }
+
+    /**
+     * Function to get the data of a pair
+     * @param {EntityID} source The source entity
+     * @param {EntityID} target The target entity
+     * @returns {Component | null} The data of the pair, null if the pair does not exist
+     */
+    get(source, target) {
+        return this.#targetsOf(source)?.targets.get(target) ?? null;
+    }
+
+    /**
+     * Generator over the targets of a source
+     * @param {EntityID} source The source entity
+     * @yields {EntityID} The target entities
+     */
+    *targets(source) {
+        const targets = this.#targetsOf(source);
+        if (targets === null) return;
+
+        yield* [...targets.targets.keys()];
+    }
+
+    /**
+     * Generator over the sources pointing to a target
+     * @param {EntityID} target The target entity
+     * @yields {EntityID} The source entities
+     */
+    *sources(target) {
+        const sources = this.#sourcesOf(target);
+        if (sources === null) return;
+
+        yield* [...sources.sources];
+    }
+
+    /**
+     * Generator over all the entities which are the source of a pair
+     * @yields {EntityID} The source entities
+     */
+    *allSources() {
+        const { data, len } = this.#outgoing.raw();
+        for (const targets of /** @type {PairTargets[]} */ (data.slice(0, len))) {
+            yield targets.source;
+        }
+    }
+
+    /**
+     * Generator over all the pairs
+     * @yields {[EntityID, EntityID, Component]} The source, target and data of each pair
+     */
+    *pairs() {
+        const { data, len } = this.#outgoing.raw();
+        for (const targets of /** @type {PairTargets[]} */ (data.slice(0, len))) {
+            for (const [target, comp] of [...targets.targets]) {
+                yield [targets.source, target, comp];
+            }
+        }
+    }
+
+    /**
+     * Function to remove all the pairs in which an entity is the source or the target
+     * @param {EntityID} entity The entity
+     */
+    removeEntity(entity) {
+        for (const target of this.targets(entity)) this.unrelate(entity, target);
+        for (const source of this.sources(entity)) this.unrelate(source, entity);
+    }
+
+    /**
+     * Function to release the memory not needed for the current pairs
+     * @returns {number} Bytes reclaimed (estimated for plain arrays)
+     */
+    shrinkToFit() {
+        return this.#outgoing.shrinkToFit() + this.#incoming.shrinkToFit();
+    }
+
+    /**
+     * Function to get the number of pairs
+     * @returns {number} Number of pairs
+     */
+    len() {
+        return this.#count;
+    }
+}
@@ -0,0 +1,422 @@
+// @ts-check
+
+/** @import {ComponentConstructor} from './ComponentStore.js' */
+
+/**
+ * @template W
+ * @typedef {(world: W, dt: number) => void | Promise<void>} SystemFunc
+ */
+
+/**
+ * @typedef {object} SystemOptions
+ * @property {string} [name] - Unique name of the system (defaults to the function name)
+ * @property {string} [phase="update"] - Phase the system runs in
+ * @property {string[]} [before=[]] - Names of the systems of the same phase this system must run before
+ * @property {string[]} [after=[]] - Names of the systems of the same phase this system must run after
+ * @property {ComponentConstructor[]} [reads] - Component types the system only reads
+ * @property {ComponentConstructor[]} [writes] - Component types the system writes (or adds/removes)
+ */
+
+/**
+ * @template W
+ * @typedef {object} SystemRecord
+ * @property {string} name - Unique name of the system
+ * @property {SystemFunc<W>} run - The system function
+ * @property {string} phase - Phase the system runs in
+ * @property {string[]} before - Names of the systems this system must run before
+ * @property {string[]} after - Names of the systems this system must run after
+ * @property {Set<ComponentConstructor> | null} reads - Component types read, null if the access is not declared
+ * @property {Set<ComponentConstructor> | null} writes - Component types written, null if the access is not declared
+ */
+
+/**
+ * @typedef {object} SchedulerOptions
+ * @property {number} [fixedDelta=1/60] - Time step used for the fixedUpdate phase
+ * @property {number} [maxFixedSteps=8] - Max fixedUpdate runs in a single step (to avoid the spiral of death)
+ */
+
+/** @constant Phase - The phases a system can be registerd into */
+export const Phase = Object.freeze({
+    PreUpdate: "preUpdate",
+    FixedUpdate: "fixedUpdate",
+    Update: "update",
+    PostUpdate: "postUpdate",
+    Render: "render",
+});
+
+/** @type {string[]} PHASE_ORDER - The order in which the phases are run in a step */
+const PHASE_ORDER = [Phase.PreUpdate, Phase.FixedUpdate, Phase.Update, Phase.PostUpdate, Phase.Render];
+
+/** @constant DefaultSchedulerOptions - The default options to configure the Scheduler */
+export const DefaultSchedulerOptions = {
+    fixedDelta: 1 / 60,
+    maxFixedSteps: 8,
+};
+
+/**
+ * @class
+ * @classdesc Scheduler which runs the systems phase by phase with ordering constraints and a fixed time step
+ * @template [W=unknown] Type of the world passed to the systems
+ * @author Bhaumik Talwar
+ */
+export class Scheduler {
+
+    /** @type {Map<string, SystemRecord<W>>} Systems in the order of registration */
+    #systems = new Map();
+
+    /** @type {Map<string, SystemRecord<W>[]> | null} Ordered systems of each phase, null when it needs a rebuild */
+    #order = null;
+
+    /** @type {Map<string, SystemRecord<W>[][]> | null} Batches of non conflicting systems of each phase, null when it needs a rebuild */
+    #batches = null;
+
+    /** @type {number} Time step used for the fixedUpdate phase */
+    #fixedDelta;
+
+    /** @type {number} Max fixedUpdate runs in a single step */
+    #maxFixedSteps;
+
+    /** @type {number} Time accumulated and not yet consumed by the fixedUpdate phase */
+    #accumulator = 0;
+
+    /**
+     * Constructor for the Scheduler
+     * @param {SchedulerOptions} [config] Options to configure the scheduler
+     * @throws {Error}
+     */
+    constructor(config = DefaultSchedulerOptions) {
+        this.#fixedDelta = config.fixedDelta ?? DefaultSchedulerOptions.fixedDelta;
+        this.#maxFixedSteps = config.maxFixedSteps ?? DefaultSchedulerOptions.maxFixedSteps;
+
+        if (this.#fixedDelta <= 0) throw new Error("fixedDelta must be positive");
+        if (this.#maxFixedSteps < 1) throw new Error("maxFixedSteps must be atleast 1");
+    }
+
+    /**
+     * Function to register a system
+     * @param {SystemFunc<W>} system The system function
+     * @param {SystemOptions} [options] Options for the name, phase and ordering of the system
+     * @returns {string} The name of the registerd system
+     * @throws {Error}
+     */
+    add(system, options = {}) {
+        if (typeof system !== "function") throw new Error("System must be a function");
+
+        const name = options.name ?? system.name;
+        const phase = options.phase ?? Phase.Update;
+
+        if (!name) throw new Error("System needs a name");
+        if (this.#systems.has(name)) throw new Error(`System '${name}' is already registerd`);
+        if (!PHASE_ORDER.includes(phase)) throw new Error(`Unknown phase '${phase}'`);
+
+        const declared = options.reads !== undefined || options.writes !== undefined;
+
+        this.#systems.set(name, {
+            name,
+            run: system,
+            phase,
+            before: options.before ?? [],
+            after: options.after ?? [],
+            reads: declared ? new Set(options.reads ?? []) : null,
+            writes: declared ? new Set(options.writes ?? []) : null,
+        });
+        this.#order = null;
+        this.#batches = null;
+
+        return name;
+    }
+
+    /**
+     * Function to unregister a system
+     * @param {string} name Name of the system
+     * @returns {boolean} True if the system was registerd
+     */
+    remove(name) {
+        const removed = this.#systems.delete(name);
+        if (removed) {
+            this.#order = null;
+            this.#batches = null;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Function to know if a system is registerd or not
+     * @param {string} name Name of the system
+     * @returns {boolean} True if the system is registerd
+     */
+    has(name) {
+        return this.#systems.has(name);
+    }
+
+    /**
+     * Function to get the names of the systems of a phase in the order they will run
+     * @param {string} phase The phase
+     * @returns {string[]} Names of the systems
+     * @throws {Error}
+     */
+    order(phase) {
+        return (this.#build().get(phase) ?? []).map((system) => system.name);
+    }
+
+    /**
+     * Function to get the systems of a phase grouped in batches that can run concurrently
+     * Systems in a batch do not conflict in their declared component access, batches run one after the other
+     * @param {string} phase The phase
+     * @returns {string[][]} Names of the systems in each batch
+     * @throws {Error}
+     */
+    batches(phase) {
+        return (this.#buildBatches().get(phase) ?? []).map((batch) => batch.map((system) => system.name));
+    }
+
+    /**
+     * Function to get the fraction of a fixed step left in the accumulator, used to interpolate while rendering
+     * @returns {number} Value between 0 and 1
+     */
+    alpha() {
+        return this.#accumulator / this.#fixedDelta;
+    }
+
+    /**
+     * Function to run all the phases once, the fixedUpdate phase is run as many times as
+     * the accumulated time allows (upto maxFixedSteps) with fixedDelta as the dt
+     * Async systems are rejected as the systems after them could not wait for them, use runAsync for those
+     * @param {W} world The world passed to the systems
+     * @param {number} dt Time elapsed since the last step
+     * @throws {Error} If a system returns a promise or the ordering constraints are invalid
+     */
+    run(world, dt) {
+        const order = this.#build();
+
+        for (const phase of PHASE_ORDER) {
+            if (phase !== Phase.FixedUpdate) {
+                this.#runPhase(order, phase, world, dt);
+                continue;
+            }
+
+            this.#accumulator += dt;
+
+            let steps = 0;
+            while (this.#accumulator >= this.#fixedDelta && steps < this.#maxFixedSteps) {
+                this.#runPhase(order, phase, world, this.#fixedDelta);
+                this.#accumulator -= this.#fixedDelta;
+                steps += 1;
+            }
+
+            // Drop the time that could not be caught up with
+            if (steps === this.#maxFixedSteps && this.#accumulator >= this.#fixedDelta) {
+                this.#accumulator %= this.#fixedDelta;
+            }
+        }
+    }
+
+    /**
+     * Async variant of run, the systems of a batch are started together and awaited before the next batch
+     * Systems returning a promise (e.g. the worker systems of World.addWorkerSystem) thus run concurrently
+     * @param {W} world The world passed to the systems
+     * @param {number} dt Time elapsed since the last step
+     * @returns {Promise<void>} Resolves once all the phases are done
+     * @throws {Error}
+     */
+    async runAsync(world, dt) {
+        const batches = this.#buildBatches();
+
+        for (const phase of PHASE_ORDER) {
+            if (phase !== Phase.FixedUpdate) {
+                await this.#runBatches(batches, phase, world, dt);
+                continue;
+            }
+
+            this.#accumulator += dt;
+
+            let steps = 0;
+            while (this.#accumulator >= this.#fixedDelta && steps < this.#maxFixedSteps) {
+                await this.#runBatches(batches, phase, world, this.#fixedDelta);
+                this.#accumulator -= this.#fixedDelta;
+                steps += 1;
+            }
+
+            // Drop the time that could not be caught up with
+            if (steps === this.#maxFixedSteps && this.#accumulator >= this.#fixedDelta) {
+                this.#accumulator %= this.#fixedDelta;
+            }
+        }
+    }
+
+    /**
+     * Function to run the batches of a phase, waiting for every system of a batch before starting the next
+     * @param {Map<string, SystemRecord<W>[][]>} batches Batches of each phase
+     * @param {string} phase The phase to run
+     * @param {W} world The world passed to the systems
+     * @param {number} dt Time step passed to the systems
+     * @returns {Promise<void>} Resolves once all the batches are done
+     */
+    async #runBatches(batches, phase, world, dt) {
+        for (const batch of batches.get(phase) ?? []) {
+            await Promise.all(batch.map((system) => system.run(world, dt)));
+        }
+    }
+
+    /**
+     * Function to run the systems of a phase
+     * @param {Map<string, SystemRecord<W>[]>} order Ordered systems of each phase
+     * @param {string} phase The phase to run
+     * @param {W} world The world passed to the systems
+     * @param {number} dt Time step passed to the systems
+     * @throws {Error} If a system returns a promise, the systems after it can not wait for it
+     */
+    #runPhase(order, phase, world, dt) {
+        const systems = order.get(phase) ?? [];
+        for (let i = 0; i < systems.length; i++) {
+            const result = systems[i].run(world, dt);
+            if (result === undefined || typeof result.then !== "function") continue;
+
+            // The rejection is reported by the throw below instead of as an unhandled one
+            result.then(undefined, () => {});
+            throw new Error(`System '${systems[i].name}' is async, use runAsync (World.stepAsync) to run it`);
+        }
+    }
+
+    /**
+     * Function to order the systems of every phase based on the before/after constraints
+     * Systems without constraints between them keep the order of registration
+     * Constraints on systems of other phases are ignored as the phase order already decides them
+     * @returns {Map<string, SystemRecord<W>[]>} Ordered systems of each phase
+     * @throws {Error} If a constraint names a unknown system or the constraints have a cycle
+     */
+    #build() {
+        if (this.#order !== null) return this.#order;
+
+        /** @type {Map<string, SystemRecord<W>[]>} */
+        const order = new Map();
+
+        for (const phase of PHASE_ORDER) {
+            const systems = [...this.#systems.values()].filter((system) => system.phase === phase);
+
+            /** @type {Map<string, Set<string>>} Edges from a system to the systems that must run after it */
+            const edges = new Map(systems.map((system) => [system.name, new Set()]));
+
+            /**
+             * Adds a edge if both the systems are in this phase
+             * @param {string} from System to run first
+             * @param {string} to System to run after
+             * @throws {Error}
+             */
+            const link = (from, to) => {
+                if (!this.#systems.has(from) || !this.#systems.has(to)) {
+                    throw new Error(`Unknown system in the constraint '${from}' -> '${to}'`);
+                }
+                edges.get(from)?.add(to);
+            };
+
+            for (const system of systems) {
+                for (const name of system.before) link(system.name, name);
+                for (const name of system.after) link(name, system.name);
+            }
+
+            // Drop the edges to the systems of other phases
+            for (const targets of edges.values()) {
+                for (const name of targets) {
+                    if (!edges.has(name)) targets.delete(name);
+                }
+            }
+
+            /** @type {Map<string, number>} */
+            const inDegree = new Map(systems.map((system) => [system.name, 0]));
+            for (const targets of edges.values()) {
+                for (const name of targets) inDegree.set(name, (inDegree.get(name) ?? 0) + 1);
+            }
+
+            /** @type {SystemRecord<W>[]} */
+            const sorted = [];
+            const pending = [...systems];
+
+            while (pending.length > 0) {
+                const idx = pending.findIndex((system) => inDegree.get(system.name) === 0);
+                if (idx === -1) {
+                    throw new Error(`Cycle in the ordering of systems: ${pending.map((system) => system.name).join(", ")}`);
+                }
+
+                const [system] = pending.splice(idx, 1);
+                sorted.push(system);
+
+                for (const name of edges.get(system.name) ?? []) {
+                    inDegree.set(name, (inDegree.get(name) ?? 0) - 1);
+                }
+            }
+
+            order.set(phase, sorted);
+        }
+
+        this.#order = order;
+        return order;
+    }
+
+    /**
+     * Function to group the ordered systems of every phase into batches
+     * A system is put in the batch after the last batch holding a system it conflicts with or is ordered after
+     * @returns {Map<string, SystemRecord<W>[][]>} Batches of each phase
+     * @throws {Error} If the ordering of the systems fails
+     */
+    #buildBatches() {
+        if (this.#batches !== null) return this.#batches;
+
+        /** @type {Map<string, SystemRecord<W>[][]>} */
+        const batches = new Map();
+
+        for (const [phase, systems] of this.#build()) {
+            /** @type {SystemRecord<W>[][]} */
+            const phaseBatches = [];
+
+            /** @type {Map<string, number>} */
+            const batchOf = new Map();
+
+            for (let i = 0; i < systems.length; i++) {
+                const system = systems[i];
+
+                let batch = 0;
+                for (let j = 0; j < i; j++) {
+                    const other = systems[j];
+                    const ordered = system.after.includes(other.name) || other.before.includes(system.name);
+
+                    if (ordered || conflicts(system, other)) {
+                        batch = Math.max(batch, (batchOf.get(other.name) ?? 0) + 1);
+                    }
+                }
+
+                batchOf.set(system.name, batch);
+                if (phaseBatches[batch] === undefined) phaseBatches[batch] = [];
+                phaseBatches[batch].push(system);
+            }
+
+            batches.set(phase, phaseBatches);
+        }
+
+        this.#batches = batches;
+        return batches;
+    }
+}
+
+/**
+ * Helper function to know if two systems can not run concurrently based on the declared component access
+ * Systems which did not declare their access conflict with every other system
+ * @template W
+ * @param {SystemRecord<W>} a The first system
+ * @param {SystemRecord<W>} b The second system
+ * @returns {boolean} True if one writes a component the other reads or writes
+ */
+function conflicts(a, b) {
+    if (a.reads === null || a.writes === null || b.reads === null || b.writes === null) return true;
+
+    for (const comp of a.writes) {
+        if (b.writes.has(comp) || b.reads.has(comp)) return true;
+    }
+
+    for (const comp of b.writes) {
+        if (a.reads.has(comp)) return true;
+    }
+
+    return false;
+}
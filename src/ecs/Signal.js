@@ -0,0 +1,67 @@
+// @ts-check
+
+/**
+ * @template {unknown[]} Args
+ * @typedef {(...args: Args) => void} Listener
+ */
+
+/**
+ * @class
+ * @classdesc Signal to which listeners can be connected and which calls them in order of connection on emit
+ * @template {unknown[]} [Args=unknown[]] Types of the args the listeners are called with
+ * @author Bhaumik Talwar
+ */
+export class Signal {
+
+    /** @type {Listener<Args>[]} Listeners connected to the signal (copied on write so emit is safe against reentrancy) */
+    #listeners = [];
+
+    /**
+     * Function to connect a listener to the signal
+     * @param {Listener<Args>} listener The listener to connect
+     * @returns {() => void} Function to disconnect the listener
+     */
+    connect(listener) {
+        this.#listeners = [...this.#listeners, listener];
+        return () => { this.disconnect(listener); };
+    }
+
+    /**
+     * Function to disconnect a listener from the signal
+     * @param {Listener<Args>} listener The listener to disconnect
+     * @returns {boolean} True if the listener was connected
+     */
+    disconnect(listener) {
+        const idx = this.#listeners.indexOf(listener);
+        if (idx === -1) return false;
+
+        this.#listeners = this.#listeners.filter((_, i) => i !== idx);
+        return true;
+    }
+
+    /**
+     * Function to disconnect all the listeners
+     */
+    clear() {
+        this.#listeners = [];
+    }
+
+    /**
+     * Function to get the number of listeners connected
+     * @returns {number} Number of listeners
+     */
+    len() {
+        return this.#listeners.length;
+    }
+
+    /**
+     * Function to call all the connected listeners with the given args
+     * @param {Args} args Args passed to the listeners
+     */
+    emit(...args) {
+        const listeners = this.#listeners;
+        for (let i = 0; i < listeners.length; i++) {
+            listeners[i](...args);
+        }
+    }
+}
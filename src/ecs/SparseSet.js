@@ -1,6 +1,6 @@
 // @ts-check
 
-import { EntityHandleMedium } from "./EntityHandle";
+import { EntityHandleMedium, EntityType } from "./EntityHandle.js";
 
 /**
  * @import {EntityID} from './EntityHandle.js'
@@ -27,12 +27,30 @@ const SUCCESS_OPERATION = 0;
 /** @constant DEFAULT_DENSE_VAL Default Value to be used for Dense Array (in case of untyped) */
 const DEFAULT_DENSE_VAL = Infinity;
 
+/** @constant SLOT_BYTES - Estimated size in bytes of a slot of a plain array */
+export const SLOT_BYTES = 8;
+
 /**
  * @typedef {object} SparseSetOptions
  * @property {boolean} [typedArray=true] - Whether to use Typed Array for dense list or not
  * @property {number} [poolSize=1024] - Pool size for typed arrays
  * @property {number} [pageSize=4096] - Page size for each page of the sparse array (Assumed to be always power of 2)
  * @property {EntityHandle} [entityHandler = EntityHandleMedium] - Entity Handler object helper
+ * @property {boolean} [shared=false] - Whether the typed dense list is backed by a SharedArrayBuffer (to be read from worker threads)
+ */
+
+/**
+ * @typedef {object} SparseSetStats
+ * @property {number} length - Number of entities in the set
+ * @property {number} capacity - Capacity of the dense list
+ * @property {number} pages - Number of allocated pages of the sparse array
+ * @property {number} denseBytes - Bytes held by the dense list (estimated for plain arrays)
+ * @property {number} sparseBytes - Estimated bytes held by the pages of the sparse array
+ */
+
+/**
+ * @typedef {object} SortOptions
+ * @property {boolean} [stable=false] - Whether equal elements must keep their relative order (ties are broken on the current position)
  */
 
 /** @constant DefaultSparseSetOptnions - The Default Options used to Configure Sparse Set */
@@ -41,6 +59,7 @@ export const DefaultSparseSetOptions = {
     poolSize: 1024,
     pageSize: 4096,
     entityHandler: EntityHandleMedium,
+    shared: false,
 };
 
 /**
@@ -56,15 +75,24 @@ export class SparseSet {
     /** @type {number[][]} - Sparse Array */
     #sparse = new Array();
 
-    /** @type {Uint32Array | EntityID[]} - Dense or Packed Array */
+    /** @type {Uint32Array | BigUint64Array | EntityID[]} - Dense or Packed Array */
     #dense;
 
+    /** @type {{new (arg: number | SharedArrayBuffer): Uint32Array | BigUint64Array, BYTES_PER_ELEMENT: number}} - Typed Array used for the dense list, picked from the entity type */
+    #DenseArray = Uint32Array;
+
     /** @type {number} - Length of the dense list */
     #length = 0;
 
     /** @type {boolean} -If its a typed array for dense array or not */
     #typedArray = true;
 
+    /** @type {boolean} - If the typed dense array is backed by a SharedArrayBuffer */
+    #shared = false;
+
+    /** @type {number} - Configured capacity of the dense list, it is never shrunk below it */
+    #poolSize = 1024;
+
     /**
      * Constructor function to create out a Sparse Set Object
      * @param {SparseSetOptions} [config] - Options to configure sparse set
@@ -80,8 +108,22 @@ export class SparseSet {
 
         this.#pageSize = config.pageSize;
         this.entityHandler = config.entityHandler;
-        this.#dense = config.typedArray ? new Uint32Array(config.poolSize) : new Array(config.poolSize).fill(DEFAULT_DENSE_VAL);
         this.#typedArray = config.typedArray;
+        this.#shared = config.shared ?? false;
+        this.#poolSize = config.poolSize;
+        this.#DenseArray = config.entityHandler.bits.type === EntityType.BigInt ? BigUint64Array : Uint32Array;
+        this.#dense = config.typedArray ? this.#allocDense(config.poolSize) : new Array(config.poolSize).fill(DEFAULT_DENSE_VAL);
+    }
+
+    /**
+     * Function to allocate a typed dense array, backed by a SharedArrayBuffer if the set is shared
+     * BigUint64Array is used for BigInt entities and Uint32Array otherwise
+     * @param {number} capacity - Capacity of the dense array
+     * @returns {Uint32Array | BigUint64Array} - The dense array
+     */
+    #allocDense(capacity) {
+        if (!this.#shared) return new this.#DenseArray(capacity);
+        return new this.#DenseArray(new SharedArrayBuffer(capacity * this.#DenseArray.BYTES_PER_ELEMENT));
     }
 
     /**
@@ -146,9 +188,10 @@ export class SparseSet {
     resize(capacity) {
         if (capacity <= this.capacity()) return FAILED_OPERATION;
 
-        if (this.#typedArray && this.#dense instanceof Uint32Array) {
-            const bigger = new Uint32Array(capacity);
-            bigger.set(this.#dense);
+        if (this.#typedArray && !Array.isArray(this.#dense)) {
+            // Both are of the DenseArray type, viewing them as Uint32Array picks the matching set
+            const bigger = this.#allocDense(capacity);
+            /** @type {Uint32Array} */ (bigger).set(/** @type {Uint32Array} */ (this.#dense));
             this.#dense = bigger;
             return SUCCESS_OPERATION;
         }
@@ -163,6 +206,70 @@ export class SparseSet {
         return SUCCESS_OPERATION;
     }
 
+    /**
+     * Function to get the occupancy and memory statistics of the set
+     * @returns {SparseSetStats} The statistics
+     */
+    stats() {
+        let pages = 0;
+        let sparseBytes = 0;
+        for (const page of this.#sparse) {
+            if (page === undefined) continue;
+
+            pages += 1;
+            sparseBytes += page.length * SLOT_BYTES;
+        }
+
+        return {
+            length: this.#length,
+            capacity: this.capacity(),
+            pages,
+            denseBytes: Array.isArray(this.#dense) ? this.capacity() * SLOT_BYTES : this.#dense.byteLength,
+            sparseBytes,
+        };
+    }
+
+    /**
+     * Function to release the memory not needed for the current entities
+     * Pages of the sparse array without any entity are dropped and the dense list is trimmed to its length
+     * The dense list is never trimmed below the pool size, so the adds without resize that fit before still fit
+     * @returns {number} Bytes reclaimed (estimated for plain arrays)
+     */
+    shrinkToFit() {
+        let reclaimed = 0;
+
+        const used = new Set();
+        for (let i = 0; i < this.#length; i++) used.add(this.pageIndex(this.#dense[i]));
+
+        for (let i = 0; i < this.#sparse.length; i++) {
+            const page = this.#sparse[i];
+            if (page === undefined || used.has(i)) continue;
+
+            reclaimed += page.length * SLOT_BYTES;
+            delete this.#sparse[i];
+        }
+
+        let pages = this.#sparse.length;
+        while (pages > 0 && this.#sparse[pages - 1] === undefined) pages--;
+        this.#sparse.length = pages;
+
+        const capacity = Math.max(this.#length, this.#poolSize);
+        if (capacity >= this.capacity()) return reclaimed;
+
+        if (!Array.isArray(this.#dense)) {
+            reclaimed += (this.capacity() - capacity) * this.#DenseArray.BYTES_PER_ELEMENT;
+
+            const smaller = this.#allocDense(capacity);
+            /** @type {Uint32Array} */ (smaller).set(/** @type {Uint32Array} */ (this.#dense.subarray(0, capacity)));
+            this.#dense = smaller;
+        } else {
+            reclaimed += (this.capacity() - capacity) * SLOT_BYTES;
+            this.#dense.length = capacity;
+        }
+
+        return reclaimed;
+    }
+
     /**
      * Functio to get the length of the dense list
      * @returns {number} - Length
@@ -173,7 +280,7 @@ export class SparseSet {
 
     /**
      * Function to get the dense list of the sparse set
-     * @returns {Uint32Array | EntityID[]} - Dense list
+     * @returns {Uint32Array | BigUint64Array | EntityID[]} - Dense list
      */
     data() {
         return this.#dense;
@@ -189,6 +296,40 @@ export class SparseSet {
         }
     }
 
+    /**
+     * Iterator protocol of the sparse set, iterates the entities in the order of the dense list like a Set
+     * @yields {EntityID}
+     */
+    *[Symbol.iterator]() {
+        yield* this.entities();
+    }
+
+    /**
+     * Generator over the entities (same as values like a Set)
+     * @yields {EntityID}
+     */
+    *keys() {
+        yield* this.entities();
+    }
+
+    /**
+     * Generator over the entities
+     * @yields {EntityID}
+     */
+    *values() {
+        yield* this.entities();
+    }
+
+    /**
+     * Generator over the entities as [entity, entity] pairs like a Set
+     * @yields {[EntityID, EntityID]}
+     */
+    *entries() {
+        for (const entity of this.entities()) {
+            yield [entity, entity];
+        }
+    }
+
     /**
      * Function to know if a Entity is set in teh sparse set or not
      * @param {EntityID} entityID - EntityID for the entity
@@ -343,13 +484,46 @@ export class SparseSet {
      * Function to Sort a Sparse set dense array based on a comparator function
      * Expects same signature and behaviour as comparator func passed to Array.Ssort
      * @param {(a:EntityID, b:EntityID) => number} comparatorFunc - Function to compare and sort the dense array
+     * @param {SortOptions} [options] - Options for the sort
+     * @returns {number} weather the operaions is succes or faileed
+     */
+    sort(comparatorFunc, options = {}) {
+        const dense = this.#dense;
+        return this.permute(this.order((a, b) => comparatorFunc(dense[a], dense[b]), options));
+    }
+
+    /**
+     * Function to compute the permutation which sorts the dense list in O(n log n)
+     * The comparator is called with positions in the dense list so the caller can compare any data kept parallel to it
+     * @param {(a:number, b:number) => number} comparatorFunc - Function to compare the elements at two positions of the dense list
+     * @param {SortOptions} [options] - Options for the sort
+     * @returns {Uint32Array} - The current position of the element to move to each position
+     */
+    order(comparatorFunc, options = {}) {
+        const order = new Uint32Array(this.#length);
+        for (let i = 0; i < this.#length; i++) order[i] = i;
+
+        if (options.stable) {
+            order.sort((a, b) => comparatorFunc(a, b) || a - b);
+        } else {
+            order.sort(comparatorFunc);
+        }
+
+        return order;
+    }
+
+    /**
+     * Function to reorder the dense list by a permutation and rebuild the sparse pages in one pass
+     * @param {Uint32Array | number[]} order - The current position of the element to move to each position
      * @returns {number} weather the operaions is succes or faileed
      */
-    sort(comparatorFunc) {
-        this.#dense.sort(comparatorFunc);
+    permute(order) {
+        if (order.length !== this.#length) return FAILED_OPERATION;
 
+        const old = this.#dense.slice(0, this.#length);
         for (let i = 0; i < this.#length; i++) {
-            const entity = this.#dense[i];
+            const entity = old[order[i]];
+            this.#dense[i] = entity;
             this.#sparse[this.pageIndex(entity)][this.pageOffset(entity)] = i;
         }
 
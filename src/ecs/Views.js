@@ -3,11 +3,69 @@
 import { ComponentStore } from "./ComponentStore.js";
 
 /**
- * @import {Component ,RawComponentData, CompStoreIterator} from "./ComponentStore.js"
+ * @import {Component ,RawComponentData, CompStoreIterator, ComponentConstructor} from "./ComponentStore.js"
  * @import {EntityID} from './EntityHandle.js'
  * @import {SparseSetIterator} from "./SparseSet.js"
  */
 
+/**
+ * @typedef {object} ViewOptions
+ * @property {ComponentStore[]} [exclude=[]] - Stores of the component types an entity must not have
+ * @property {ComponentStore[]} [added=[]] - Included stores whose component must have been added after the since tick
+ * @property {ComponentStore[]} [changed=[]] - Included stores whose component must have changed after the since tick
+ * @property {number} [since=0] - Tick the added and changed filters are relative to
+ */
+
+/** @constant TICK_ADDED - Kind of the filter matching components added after a tick */
+export const TICK_ADDED = 0;
+
+/** @constant TICK_CHANGED - Kind of the filter matching components changed after a tick */
+export const TICK_CHANGED = 1;
+
+/**
+ * @class
+ * @classdesc Filter of a view matching the entities whose component was added or changed since the tick the system last ran
+ * The component type is included in the view like a plain one
+ * @author Bhaumik Talwar
+ */
+export class TickFilter {
+    /** @type {number} TICK_ADDED or TICK_CHANGED */
+    kind;
+
+    /** @type {ComponentConstructor} The component type Costrutor */
+    comp;
+
+    /**
+     * Costrutor to create a tick filter
+     * @param {number} kind TICK_ADDED or TICK_CHANGED
+     * @param {ComponentConstructor} comp The component type Costrutor
+     */
+    constructor(kind, comp) {
+        this.kind = kind;
+        this.comp = comp;
+    }
+}
+
+/**
+ * Function to create a filter matching the entities whose component was added since the system last ran
+ * @example registry.view(Position, Added(Velocity))
+ * @param {ComponentConstructor} comp The component type Costrutor
+ * @returns {TickFilter} The filter
+ */
+export function Added(comp) {
+    return new TickFilter(TICK_ADDED, comp);
+}
+
+/**
+ * Function to create a filter matching the entities whose component was added or changed since the system last ran
+ * @example registry.view(Position, Changed(Velocity))
+ * @param {ComponentConstructor} comp The component type Costrutor
+ * @returns {TickFilter} The filter
+ */
+export function Changed(comp) {
+    return new TickFilter(TICK_CHANGED, comp);
+}
+
 /**
  * @class
  * @classdesc Class used for creatibng a Basic Single item view
@@ -46,7 +104,7 @@ export class BasicView {
 
     /**
      * Function to get the Entity list that are attached to this Component
-     * @returns {Uint32Array | EntityID[]} - Entity List
+     * @returns {Uint32Array | BigUint64Array | EntityID[]} - Entity List
      */
     data() {
         return this.#compStore.data();
@@ -72,6 +130,38 @@ export class BasicView {
         return this.#compStore.getConst(entity);
     }
 
+    /**
+     * Iterator protocol of the view, iterates [entity, component] pairs like a Map
+     * @yields {[EntityID, Component]}
+     */
+    *[Symbol.iterator]() {
+        yield* this.#compStore.entries();
+    }
+
+    /**
+     * Generator over the entities of the view
+     * @yields {EntityID}
+     */
+    *keys() {
+        yield* this.#compStore.keys();
+    }
+
+    /**
+     * Generator over the components of the view
+     * @yields {Component}
+     */
+    *values() {
+        yield* this.#compStore.values();
+    }
+
+    /**
+     * Generator over the [entity, component] pairs of the view
+     * @yields {[EntityID, Component]}
+     */
+    *entries() {
+        yield* this.#compStore.entries();
+    }
+
     /**
      * Iterator to Component Store
      * @returns {CompStoreIterator} The iterator to the store
@@ -96,3 +186,142 @@ export class BasicView {
         return this.#compStore.entityItrerator();
     }
 }
+
+/**
+ * @class
+ * @classdesc Class used for creating a view over multiple Component Stores with include and exclude filters
+ * @author Bhaumik Talwar
+ */
+export class MultiView {
+
+    /** @type {ComponentStore[]} Stores of the component types an entity must have */
+    #includes;
+
+    /** @type {ComponentStore[]} Stores of the component types an entity must not have */
+    #excludes;
+
+    /** @type {ComponentStore[]} Stores whose component must have been added after the since tick */
+    #added;
+
+    /** @type {ComponentStore[]} Stores whose component must have changed after the since tick */
+    #changed;
+
+    /** @type {number} Tick the added and changed filters are relative to */
+    #since;
+
+    /**
+     * Constructor for the Multi View
+     * @param {ComponentStore[]} includes Comp Stores for the included Comp types
+     * @param {ViewOptions} [options] Options for the view (exclude and tick filters)
+     * @throws {Error}
+     */
+    constructor(includes, options = {}) {
+        if (includes == null || includes.length === 0) throw new Error("Atleast one Store is required for a view");
+        if (includes.some((store) => store == null)) throw new Error("Store is Null");
+
+        this.#includes = includes;
+        this.#excludes = options.exclude ?? [];
+        this.#added = options.added ?? [];
+        this.#changed = options.changed ?? [];
+        this.#since = options.since ?? 0;
+    }
+
+    /**
+     * Function to get the smallest included store, which is used to drive the iteration
+     * @returns {ComponentStore} The store with the least number of entities
+     */
+    #lead() {
+        let lead = this.#includes[0];
+        for (let i = 1; i < this.#includes.length; i++) {
+            if (this.#includes[i].len() < lead.len()) lead = this.#includes[i];
+        }
+
+        return lead;
+    }
+
+    /**
+     * Function to get the upper bound of the entities in the view
+     * @returns {number} Length of the smallest included store
+     */
+    sizeHint() {
+        return this.#lead().len();
+    }
+
+    /**
+     * Function to know if the entity is a part of the view or not
+     * @param {EntityID} entity - EntityID for the entity
+     * @returns {boolean} - True if the entity has all the included comps, none of excluded and passes the tick filters
+     */
+    contains(entity) {
+        for (const store of this.#includes) {
+            if (!store.contains(entity)) return false;
+        }
+
+        for (const store of this.#excludes) {
+            if (store.contains(entity)) return false;
+        }
+
+        for (const store of this.#added) {
+            if (store.addedTick(entity) <= this.#since) return false;
+        }
+
+        for (const store of this.#changed) {
+            if (store.changedTick(entity) <= this.#since) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Function to get the components of an entity in the order of the included types
+     * Empty (Tag) Components are given as null
+     * @param {EntityID} entity - EntityID for the entity
+     * @returns {Component[]} - Components Associated with the Entity
+     * @throws {Error}
+     */
+    get(entity) {
+        const comps = new Array(this.#includes.length);
+        for (let i = 0; i < this.#includes.length; i++) {
+            const store = this.#includes[i];
+            comps[i] = store.isEmptyComp() ? null : store.get(entity);
+        }
+
+        return comps;
+    }
+
+    /**
+     * Generator func to iterate over the entities in the view
+     * @yields {EntityID}
+     */
+    *entities() {
+        const lead = this.#lead();
+        const dense = lead.data();
+        const len = lead.len();
+
+        for (let i = 0; i < len; i++) {
+            const entity = dense[i];
+            if (this.contains(entity)) yield entity;
+        }
+    }
+
+    /**
+     * Generator func to iterate over the entities and their components in the view
+     * Yields the entity followed by its components in the order of the included types
+     * @yields {[EntityID, ...Component[]]}
+     */
+    *each() {
+        for (const entity of this.entities()) {
+            yield [entity, ...this.get(entity)];
+        }
+    }
+
+    /**
+     * Function to call a callback for every entity in the view along with its components
+     * @param {(entity: EntityID, ...comps: Component[]) => void} callback - Callback called for each entity
+     */
+    forEach(callback) {
+        for (const entity of this.entities()) {
+            callback(entity, ...this.get(entity));
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// @ts-check
+
+import { parentPort } from "node:worker_threads";
+
+/** @import {WorkerTask} from './WorkerPool.js' */
+
+/** @type {Map<string, Promise<{default: (views: WorkerTask["views"], dt: number) => void | Promise<void>}>>} Loaded system modules keyed by URL */
+const modules = new Map();
+
+/**
+ * Function to run a task sent by the pool and reply with its id (and the error message if the system threw)
+ * @param {WorkerTask} task The task
+ */
+async function runTask(task) {
+    try {
+        let module = modules.get(task.module);
+        if (module === undefined) {
+            module = import(task.module);
+            modules.set(task.module, module);
+        }
+
+        const system = (await module).default;
+        if (typeof system !== "function") throw new Error(`Module '${task.module}' has no default export function`);
+
+        await system(task.views, task.dt);
+        parentPort?.postMessage({ id: task.id });
+    } catch (err) {
+        parentPort?.postMessage({ id: task.id, error: err instanceof Error ? err.message : String(err) });
+    }
+}
+
+parentPort?.on("message", runTask);
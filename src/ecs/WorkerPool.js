@@ -0,0 +1,183 @@
+// @ts-check
+
+import { Worker } from "node:worker_threads";
+import { availableParallelism } from "node:os";
+import { URL } from "node:url";
+
+/**
+ * @import {RawColumnData} from './ComponentStore.js'
+ * @import {EntityID} from './EntityHandle.js'
+ */
+
+/**
+ * @typedef {object} WorkerView
+ * @property {Uint32Array | BigUint64Array | EntityID[]} entities - Dense entity list of the store, valid upto len
+ * @property {RawColumnData["columns"]} columns - Columns of the Schema Component backed by SharedArrayBuffer
+ * @property {number} len - Number of active components
+ */
+
+/**
+ * @typedef {object} WorkerTask
+ * @property {number} id - Id of the task to match the reply
+ * @property {string} module - URL of the module whose default export is the system
+ * @property {Record<string, WorkerView>} views - The views of the declared components keyed by name
+ * @property {number} dt - Time step passed to the system
+ */
+
+/**
+ * @typedef {object} WorkerPoolOptions
+ * @property {number} [size] - Number of worker threads (defaults to the available parallelism minus the main thread)
+ */
+
+/** @constant DefaultWorkerPoolOptions - The default options to configure the Worker Pool */
+export const DefaultWorkerPoolOptions = {
+    size: Math.max(availableParallelism() - 1, 1),
+};
+
+/** @type {URL} Entry point of every worker thread */
+const HOST_URL = new URL("./WorkerHost.js", import.meta.url);
+
+/**
+ * @class
+ * @classdesc Pool of worker threads running the systems registerd from a module
+ * A task is given to the first idle worker, the others wait in a queue.
+ * The threads only keep the process alive while they are running a task.
+ * @author Bhaumik Talwar
+ */
+export class WorkerPool {
+
+    /** @type {number} Number of worker threads */
+    #size;
+
+    /** @type {Worker[]} Started worker threads */
+    #workers = [];
+
+    /** @type {Worker[]} Worker threads waiting for a task */
+    #idle = [];
+
+    /** @type {WorkerTask[]} Tasks waiting for a worker */
+    #queue = [];
+
+    /** @type {Map<number, {resolve: () => void, reject: (err: Error) => void}>} Pending tasks keyed by their id */
+    #pending = new Map();
+
+    /** @type {Map<Worker, number>} Id of the task each busy worker runs */
+    #running = new Map();
+
+    /** @type {number} Id of the next task */
+    #nextId = 0;
+
+    /**
+     * Costrutor to create a worker pool, the threads are started on the first task
+     * @param {WorkerPoolOptions} [config] Options to configure the pool
+     * @throws {Error} If the size is not atleast 1
+     */
+    constructor(config = DefaultWorkerPoolOptions) {
+        this.#size = config.size ?? DefaultWorkerPoolOptions.size;
+        if (!(this.#size >= 1)) throw new Error("Worker pool size must be atleast 1");
+    }
+
+    /**
+     * Function to run the default export of a module on a worker thread
+     * @param {string} module URL of the module
+     * @param {Record<string, WorkerView>} views The views of the declared components keyed by name
+     * @param {number} dt Time step passed to the system
+     * @returns {Promise<void>} Resolves once the system returned on the worker
+     */
+    run(module, views, dt) {
+        return new Promise((resolve, reject) => {
+            const id = this.#nextId++;
+            this.#pending.set(id, { resolve, reject });
+            this.#queue.push({ id, module, views, dt });
+            this.#dispatch();
+        });
+    }
+
+    /**
+     * Function to stop all the worker threads, pending tasks are rejected
+     * @returns {Promise<void>} Resolves once all the threads exited
+     */
+    async terminate() {
+        const workers = this.#workers;
+        this.#workers = [];
+        this.#idle = [];
+        this.#queue = [];
+        this.#running.clear();
+
+        for (const { reject } of this.#pending.values()) reject(new Error("Worker pool terminated"));
+        this.#pending.clear();
+
+        await Promise.all(workers.map((worker) => worker.terminate()));
+    }
+
+    /**
+     * Function to get the number of worker threads
+     * @returns {number} Size of the pool
+     */
+    size() {
+        return this.#size;
+    }
+
+    /**
+     * Function to hand the queued tasks to the idle workers, starting new ones upto the size of the pool
+     */
+    #dispatch() {
+        while (this.#queue.length > 0) {
+            let worker = this.#idle.pop();
+            if (worker === undefined && this.#workers.length < this.#size) worker = this.#spawn();
+            if (worker === undefined) return;
+
+            const task = /** @type {WorkerTask} */ (this.#queue.shift());
+            this.#running.set(worker, task.id);
+            worker.ref();
+            worker.postMessage(task);
+        }
+    }
+
+    /**
+     * Function to start a worker thread
+     * @returns {Worker} The worker
+     */
+    #spawn() {
+        const worker = new Worker(HOST_URL);
+        this.#workers.push(worker);
+
+        worker.on("message", (/** @type {{id: number, error?: string}} */ reply) => {
+            this.#running.delete(worker);
+            worker.unref();
+            this.#idle.push(worker);
+
+            const pending = this.#pending.get(reply.id);
+            this.#pending.delete(reply.id);
+            if (reply.error === undefined) pending?.resolve();
+            else pending?.reject(new Error(reply.error));
+
+            this.#dispatch();
+        });
+
+        worker.on("error", (err) => this.#drop(worker, err));
+        worker.on("exit", (code) => this.#drop(worker, new Error(`Worker exited with code ${code}`)));
+
+        return worker;
+    }
+
+    /**
+     * Function to remove a worker which failed or exited, rejecting the task it was running
+     * The error event is followed by the exit event, the task is rejected by the first one
+     * @param {Worker} worker The worker
+     * @param {Error} err Reason the task is rejected with
+     */
+    #drop(worker, err) {
+        const id = this.#running.get(worker);
+        this.#running.delete(worker);
+        this.#workers = this.#workers.filter((other) => other !== worker);
+        this.#idle = this.#idle.filter((other) => other !== worker);
+
+        if (id !== undefined) {
+            this.#pending.get(id)?.reject(err);
+            this.#pending.delete(id);
+        }
+
+        this.#dispatch();
+    }
+}
@@ -0,0 +1,206 @@
+// @ts-check
+
+import { Registry, DefaultRegistryOptions } from "./Registry.js";
+import { Scheduler, DefaultSchedulerOptions } from "./Scheduler.js";
+import { componentInfo } from "./ComponentTypes.js";
+
+/**
+ * @import {RegistryOptions} from './Registry.js'
+ * @import {SchedulerOptions, SystemOptions} from './Scheduler.js'
+ * @import {WorkerPool, WorkerPoolOptions, WorkerView} from './WorkerPool.js'
+ * @import {ComponentConstructor} from './ComponentStore.js'
+ * @import {URL} from 'node:url'
+ */
+
+/**
+ * System function, lastRun is the tick the system last ran at (0 on its first run)
+ * Async systems should pass it as the since option of the views they create after an await, other systems may run in between and move the tick of the registry
+ * @typedef {(world: World, dt: number, lastRun: number) => void | Promise<void>} System
+ */
+
+/**
+ * @typedef {object} WorldOptions
+ * @property {RegistryOptions} [registryOptions] - The config for the registry
+ * @property {SchedulerOptions} [schedulerOptions] - The config for the scheduler
+ * @property {WorkerPoolOptions} [workerOptions] - The config for the pool running the worker systems
+ */
+
+/** @constant DefaultWorldOptions - The default options to configure the World */
+export const DefaultWorldOptions = {
+    registryOptions: DefaultRegistryOptions,
+    schedulerOptions: DefaultSchedulerOptions,
+    workerOptions: {},
+};
+
+/**
+ * @class
+ * @classdesc World which ties the registry holding the data with the scheduler running the systems
+ * @author Bhaumik Talwar
+ */
+export class World {
+
+    /** @type {Registry} Registry holding the entities and components */
+    registry;
+
+    /** @type {Scheduler<World>} Scheduler running the systems */
+    scheduler;
+
+    /** @type {WorkerPoolOptions} The config for the pool running the worker systems */
+    #workerOptions;
+
+    /** @type {Promise<WorkerPool> | null} Pool running the worker systems, loaded and started by the first one */
+    #pool = null;
+
+    /** @type {number} Number of registerd worker systems */
+    #workerSystems = 0;
+
+    /**
+     * Constructor for the World
+     * @param {WorldOptions} [config] Options to configure the registry and scheduler
+     */
+    constructor(config = DefaultWorldOptions) {
+        this.registry = new Registry(config.registryOptions ?? DefaultWorldOptions.registryOptions);
+        this.scheduler = new Scheduler(config.schedulerOptions ?? DefaultWorldOptions.schedulerOptions);
+        this.#workerOptions = config.workerOptions ?? DefaultWorldOptions.workerOptions;
+    }
+
+    /**
+     * Function to register a system
+     * The tick the system last ran at is tracked per system so the Added and Changed filters of its views only see the newer changes
+     * It is set on the registry while the system starts and passed to the system, since the registry only holds the tick of the last started system
+     * @param {System} system The system function, called with the world and the dt
+     * @param {SystemOptions} [options] Options for the name, phase and ordering of the system
+     * @returns {string} The name of the registerd system
+     * @throws {Error}
+     */
+    addSystem(system, options = {}) {
+        let lastRun = 0;
+
+        /**
+         * Runs the system with the registry set to the tick it last ran at
+         * @param {World} world The world
+         * @param {number} dt Time step
+         * @returns {void | Promise<void>} Result of the system
+         */
+        const tracked = (world, dt) => {
+            const since = lastRun;
+            world.registry.setLastRunTick(since);
+            lastRun = world.registry.advanceTick();
+            return system(world, dt, since);
+        };
+
+        return this.scheduler.add(tracked, { ...options, name: options.name ?? system.name });
+    }
+
+    /**
+     * Function to register a system running on a worker thread
+     * The default export of the module is called with the views of the declared components keyed by their registerd name
+     * (or the class name) and the dt, e.g. export default function ({ Body }, dt) {}
+     * Every declared component must be a Schema Component of a registry created with the shared option, the systems
+     * can only read and write the field values in the columns (no structural changes and no change ticks)
+     * Non conflicting worker systems of a phase run concurrently with stepAsync
+     * @param {string | URL} module URL of the module, e.g. new URL("./physics.js", import.meta.url)
+     * @param {SystemOptions} options Options of the system, the reads and writes are required
+     * @returns {string} The name of the registerd system (defaults to the URL)
+     * @throws {Error} If no component access is declared
+     */
+    addWorkerSystem(module, options) {
+        const url = String(module);
+        const comps = [...options.reads ?? [], ...options.writes ?? []];
+        if (comps.length === 0) throw new Error("A worker system must declare the components it reads or writes");
+
+        /**
+         * Runs the module on the worker pool with the views of the declared components
+         * @param {World} world The world
+         * @param {number} dt Time step
+         * @returns {Promise<void>} Resolves once the worker is done
+         */
+        const system = async (world, dt) => {
+            const views = world.#workerViews(comps);
+            const pool = await world.#workers();
+            await pool.run(url, views, dt);
+        };
+
+        const name = this.scheduler.add(system, {
+            ...options,
+            name: options.name ?? url,
+            reads: options.reads ?? [],
+            writes: options.writes ?? [],
+        });
+        this.#workerSystems += 1;
+
+        return name;
+    }
+
+    /**
+     * Function to get the worker pool, starting it if needed
+     * The pool is imported on demand so worlds without worker systems dont need node:worker_threads
+     * @returns {Promise<WorkerPool>} The pool
+     */
+    #workers() {
+        if (this.#pool === null) {
+            this.#pool = import("./WorkerPool.js").then(({ WorkerPool }) => new WorkerPool(this.#workerOptions));
+        }
+
+        return this.#pool;
+    }
+
+    /**
+     * Function to get the views of components to send to a worker system
+     * @param {ComponentConstructor[]} comps The component types
+     * @returns {Record<string, WorkerView>} The views keyed by the registerd name or the class name
+     * @throws {Error} If a component is not a Schema Component with shared columns
+     */
+    #workerViews(comps) {
+        /** @type {Record<string, WorkerView>} */
+        const views = {};
+        for (const comp of comps) {
+            const { columns, len } = this.registry.rawColumns(comp);
+            if (!Object.values(columns).every((column) => column.buffer instanceof SharedArrayBuffer)) {
+                throw new Error(`${comp.name} is not stored in shared columns, create the registry with the shared option`);
+            }
+
+            views[componentInfo(comp)?.name ?? comp.name] = { entities: this.registry.data(comp), columns, len };
+        }
+
+        return views;
+    }
+
+    /**
+     * Function to stop the worker threads of the worker systems
+     * @returns {Promise<void>} Resolves once the threads exited
+     */
+    async terminate() {
+        if (this.#pool === null) return;
+
+        const pool = this.#pool;
+        this.#pool = null;
+        await (await pool).terminate();
+    }
+
+    /**
+     * Function to advance the world by running all the phases of the scheduler once
+     * The event queues are swapped after the step so the events sent are read in the next one
+     * @param {number} dt Time elapsed since the last step
+     * @throws {Error} If a worker system is registerd or a system is async, those need stepAsync
+     */
+    step(dt) {
+        if (this.#workerSystems > 0) throw new Error("Worlds with worker systems must be stepped with stepAsync");
+        this.scheduler.run(this, dt);
+        this.registry.updateEvents();
+        this.registry.advanceTick();
+    }
+
+    /**
+     * Function to advance the world running the non conflicting systems of a phase concurrently
+     * Systems declare the component types they read and write while being registerd, the worker systems of a batch run in parallel on worker threads
+     * @param {number} dt Time elapsed since the last step
+     * @returns {Promise<void>} Resolves once all the phases are done
+     * @throws {Error}
+     */
+    async stepAsync(dt) {
+        await this.scheduler.runAsync(this, dt);
+        this.registry.updateEvents();
+        this.registry.advanceTick();
+    }
+}
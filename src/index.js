@@ -1,2 +1,21 @@
 // @ts-check
 
+export { EntityHandleFactory, EntityHandleSmall, EntityHandleMedium, EntityHandleLarge, EntityType, serializeEntity, deserializeEntity } from "./ecs/EntityHandle.js";
+export { EntityStore, DefaultEntityStoreOptions, VersionOverflow } from "./ecs/EntityStore.js";
+export { SparseSet, DefaultSparseSetOptions } from "./ecs/SparseSet.js";
+export { ComponentStore, ComponentStandard, ComponentEmpty, ComponentSchema } from "./ecs/ComponentStore.js";
+export { Registry, DefaultRegistryOptions, SENTINEL } from "./ecs/Registry.js";
+export { registerComponent, componentInfo, componentByName } from "./ecs/ComponentTypes.js";
+export { BinaryWriter, BinaryReader } from "./ecs/Binary.js";
+export { BasicView, MultiView, TickFilter, Added, Changed } from "./ecs/Views.js";
+export { Group } from "./ecs/Group.js";
+export { Signal } from "./ecs/Signal.js";
+export { Observer } from "./ecs/Observer.js";
+export { Prefab } from "./ecs/Prefab.js";
+export { Hierarchy, Relationship, Traversal } from "./ecs/Hierarchy.js";
+export { Relation, Wildcard } from "./ecs/Relation.js";
+export { Context } from "./ecs/Context.js";
+export { EventQueue, EventReader } from "./ecs/Events.js";
+export { CommandBuffer } from "./ecs/CommandBuffer.js";
+export { Scheduler, Phase, DefaultSchedulerOptions } from "./ecs/Scheduler.js";
+export { World, DefaultWorldOptions } from "./ecs/World.js";
@@ -0,0 +1,3 @@
+// @ts-check
+
+export { WorkerPool, DefaultWorkerPoolOptions } from "./ecs/WorkerPool.js";
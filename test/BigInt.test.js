@@ -0,0 +1,48 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, SparseSet, DefaultRegistryOptions, DefaultSparseSetOptions, EntityHandleLarge, ComponentSchema } from "../src/index.js";
+import { Pos, Vel, Body } from "./components.js";
+
+/** @import {RegistryOptions} from "../src/ecs/Registry.js" */
+
+/** @type {RegistryOptions} */
+const LARGE = {
+    entityOptions: { ...DefaultRegistryOptions.entityOptions, handler: EntityHandleLarge },
+    componentOptions: DefaultRegistryOptions.componentOptions,
+};
+
+test("a sparse set of BigInt entities uses a BigUint64Array dense list", () => {
+    const set = new SparseSet({ ...DefaultSparseSetOptions, entityHandler: EntityHandleLarge });
+    const entity = (5n << 32n) | 3n;
+
+    set.add(entity);
+    assert.ok(set.data() instanceof BigUint64Array);
+    assert.equal(set.data()[0], entity, "the version is not truncated");
+    assert.ok(set.contains(entity));
+    assert.equal(set.contains((6n << 32n) | 3n), false, "another index with the same version is not contained");
+});
+
+test("a registry with large handles works end to end", () => {
+    const registry = new Registry(LARGE);
+    const a = registry.create();
+    const b = registry.create();
+    assert.equal(typeof a, "bigint");
+
+    registry.add(a, Pos, undefined, [1, 2]);
+    registry.add(b, Pos, undefined, [3, 4]);
+    registry.add(b, Vel);
+    registry.add(b, Body, ComponentSchema, [7]);
+
+    assert.deepEqual([...registry.view(Pos, Vel).entities()], [b]);
+    assert.equal(registry.get(b, Body).mass, 7);
+
+    registry.destroy(a);
+    const reused = registry.create();
+    assert.notEqual(reused, a);
+    assert.equal(registry.has(reused, Pos), false);
+    assert.equal(registry.valid(a), false);
+    assert.deepEqual([...registry.view(Pos).entities()], [b]);
+});
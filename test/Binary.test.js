@@ -0,0 +1,167 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Registry, registerComponent, ComponentEmpty, ComponentSchema, EntityHandleSmall, EntityHandleLarge,
+    DefaultRegistryOptions, BinaryWriter, BinaryReader,
+} from "../src/index.js";
+
+/** @import {RegistryOptions} from "../src/ecs/Registry.js" */
+
+/**
+ * @class
+ * @classdesc Component encoded as JSON
+ */
+class Name {
+    /**
+     * Costrutor for the component
+     * @param {string} [value] The name
+     */
+    constructor(value = "") {
+        this.value = value;
+    }
+}
+
+/**
+ * @class
+ * @classdesc Component with a custom encoder
+ */
+class Health {
+    /**
+     * Costrutor for the component
+     * @param {number} [hp] Hit points
+     */
+    constructor(hp = 0) {
+        this.hp = hp;
+    }
+}
+
+/**
+ * @class
+ * @classdesc Marker component
+ */
+class Enemy {}
+
+/**
+ * @class
+ * @classdesc Schema component
+ */
+class Point {
+    static schema = { x: "f32", y: "i32" };
+}
+
+registerComponent("binary.Name", Name);
+registerComponent("binary.Enemy", Enemy);
+registerComponent("binary.Point", Point);
+registerComponent("binary.Health", Health, {
+    encode: (comp, writer) => writer.u16(comp.hp),
+    decode: (reader) => new Health(reader.u16()),
+});
+
+/**
+ * Function to create a registry with every kind of component
+ * @param {RegistryOptions} [config] The config of the registry
+ * @returns {Registry} The registry
+ */
+function populated(config = DefaultRegistryOptions) {
+    const registry = new Registry(config);
+    for (let i = 0; i < 5; i++) {
+        const entity = registry.create();
+        registry.add(entity, Name, undefined, [`e${i}`]);
+        registry.add(entity, Health, undefined, [i * 10]);
+        registry.add(entity, Point, ComponentSchema, [i / 2, -i]);
+        if (i % 2 === 0) registry.add(entity, Enemy, ComponentEmpty);
+    }
+    registry.destroy(registry.create());
+
+    return registry;
+}
+
+test("fromBinary restores the entities and every kind of component", () => {
+    const registry = populated();
+    const restored = Registry.fromBinary(registry.toBinary());
+
+    assert.deepEqual(restored.stats().entities, registry.stats().entities);
+    for (const entity of registry.view(Name).entities()) {
+        assert.equal(restored.get(entity, Name).value, registry.get(entity, Name).value);
+        assert.equal(restored.get(entity, Health).hp, registry.get(entity, Health).hp);
+        assert.deepEqual(restored.getConst(entity, Point), registry.getConst(entity, Point));
+        assert.equal(restored.has(entity, Enemy), registry.has(entity, Enemy));
+    }
+});
+
+test("BigInt entity handles round trip", () => {
+    const config = {
+        ...DefaultRegistryOptions,
+        entityOptions: { ...DefaultRegistryOptions.entityOptions, handler: EntityHandleLarge },
+    };
+    const registry = populated(config);
+    const restored = Registry.fromBinary(registry.toBinary(), config);
+
+    assert.deepEqual([...restored.view(Name).entities()], [...registry.view(Name).entities()]);
+});
+
+test("a mismatched loader fails loudly", () => {
+    const buffer = populated().toBinary();
+    const small = {
+        ...DefaultRegistryOptions,
+        entityOptions: { ...DefaultRegistryOptions.entityOptions, handler: EntityHandleSmall },
+    };
+
+    assert.throws(() => Registry.fromBinary(buffer, small), /Entity layout mismatch/);
+    assert.throws(() => Registry.fromBinary(new ArrayBuffer(16)), /Not a encoded registry/);
+    assert.throws(() => Registry.fromBinary(buffer.slice(0, buffer.byteLength - 8)), /truncated/);
+});
+
+test("a schema with more than 255 fields round trips", () => {
+    /** @type {Record<string, string>} */
+    const schema = {};
+    for (let i = 0; i < 300; i++) schema[`f${i}`] = "u8";
+
+    /**
+     * @class
+     * @classdesc Schema component with many fields
+     */
+    class Wide {
+        static schema = schema;
+    }
+    registerComponent("binary.Wide", Wide);
+
+    const registry = new Registry();
+    const entity = registry.create();
+    registry.add(entity, Wide, ComponentSchema, Array.from({ length: 300 }, (_, i) => i % 256));
+
+    const restored = Registry.fromBinary(registry.toBinary());
+    assert.equal(restored.get(entity, Wide).f299, 299 % 256);
+});
+
+test("a field missing from the encoded data is a format error", () => {
+    /**
+     * @class
+     * @classdesc Schema component whose schema changes between save and load
+     */
+    class Growing {
+        static schema = { a: "u8" };
+    }
+    registerComponent("binary.Growing", Growing);
+
+    const registry = new Registry();
+    registry.add(registry.create(), Growing, ComponentSchema, [1]);
+    const buffer = registry.toBinary();
+
+    Growing.schema = { a: "u8", b: "u8" };
+    assert.throws(() => Registry.fromBinary(buffer), /field 'binary.Growing.b' is missing/);
+});
+
+test("writer and reader round trip the primitive values", () => {
+    const writer = new BinaryWriter(4);
+    writer.u8(200);
+    writer.u16(60000);
+    writer.i32(-5);
+    writer.string("héllo");
+
+    const reader = new BinaryReader(writer.finish());
+    assert.deepEqual([reader.u8(), reader.u16(), reader.i32(), reader.string()], [200, 60000, -5, "héllo"]);
+});
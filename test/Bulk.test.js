@@ -0,0 +1,78 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, EntityStore, DefaultEntityStoreOptions, DefaultRegistryOptions } from "../src/index.js";
+import { Pos } from "./components.js";
+
+test("create appends new entities once the free list is drained", () => {
+    const store = new EntityStore();
+    const [a, b] = [store.create(), store.create()];
+    store.remove(a);
+    store.remove(b);
+
+    const reused = [store.create(), store.create()];
+    const appended = store.create();
+
+    assert.ok(reused.every((entity) => store.isAlive(entity)));
+    assert.ok(store.isAlive(appended));
+    assert.equal(store.stats().appendIndex, 3);
+    assert.equal(store.stats().free, 0);
+});
+
+test("createMany drains the free list first and appends the rest", () => {
+    const registry = new Registry();
+    const old = registry.createMany(3);
+    registry.destroyMany(old.slice(0, 2));
+
+    const out = new Uint32Array(4);
+    const created = registry.createMany(4, out);
+
+    assert.equal(created, out);
+    assert.ok([...out].every((entity) => registry.valid(entity)));
+    assert.equal(new Set(out).size, 4);
+    assert.equal(registry.stats().entities.appendIndex, 5);
+});
+
+test("createMany rejects a typed array too short for the entities without creating any", () => {
+    const registry = new Registry();
+    registry.destroy(registry.create());
+
+    assert.throws(() => registry.createMany(3, new Uint32Array(2)), /typed array of length 2/);
+    assert.equal(registry.stats().entities.alive, 0);
+    assert.equal(registry.stats().entities.free, 1);
+});
+
+test("createMany past the capacity of a non resizable store reuses no free slot", () => {
+    const store = new EntityStore({ ...DefaultEntityStoreOptions, capacity: 8, resizable: false });
+    const entities = [0, 1, 2, 3, 4, 5].map(() => store.create());
+    store.remove(entities[0]);
+    store.remove(entities[1]);
+
+    assert.throws(() => store.createMany(5), /Cant Resize/);
+    assert.equal(store.stats().alive, 4);
+    assert.equal(store.stats().free, 2);
+
+    const registry = new Registry({
+        ...DefaultRegistryOptions,
+        entityOptions: { ...DefaultEntityStoreOptions, capacity: 8, resizable: false },
+    });
+    registry.destroyMany(registry.createMany(6).slice(0, 2));
+    assert.throws(() => registry.createMany(5), /Cant Resize/);
+    assert.equal(registry.stats().entities.alive, 4);
+});
+
+test("insertMany adds the component with shared args or a factory", () => {
+    const registry = new Registry();
+    const entities = registry.createMany(3);
+
+    assert.equal(registry.insertMany(Pos, entities, [1, 1]), 3);
+    assert.ok(entities.every((entity) => registry.get(entity, Pos).x === 1));
+
+    registry.insertMany(Pos, entities, (_entity, i) => new Pos(i, 0));
+    assert.deepEqual(entities.map((entity) => registry.get(entity, Pos).x), [0, 1, 2]);
+
+    registry.destroy(entities[1]);
+    assert.throws(() => registry.insertMany(Pos, entities, [0, 0]), /Entity does not exist/);
+});
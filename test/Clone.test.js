@@ -0,0 +1,66 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, registerComponent } from "../src/index.js";
+import { Pos } from "./components.js";
+
+/**
+ * @class
+ * @classdesc Component holding references to other entities
+ */
+class Link {
+    /**
+     * Costrutor for the component
+     * @param {number} [self] Reference to the entity itself
+     * @param {number} [other] Reference to another entity
+     */
+    constructor(self = -1, other = -1) {
+        this.self = self;
+        this.other = other;
+    }
+}
+
+registerComponent("clone.Link", Link, { entityFields: ["self", "other"] });
+
+test("clone copies the components and points the self references to the clone", () => {
+    const registry = new Registry();
+    const [entity, other] = [registry.create(), registry.create()];
+    registry.add(entity, Pos, undefined, [1, 2]);
+    registry.add(entity, Link, undefined, [entity, other]);
+
+    const copy = registry.clone(entity);
+    assert.notEqual(copy, entity);
+    assert.notEqual(registry.get(copy, Pos), registry.get(entity, Pos));
+    assert.deepEqual({ ...registry.get(copy, Pos) }, { x: 1, y: 2 });
+    assert.deepEqual({ ...registry.get(copy, Link) }, { self: copy, other });
+});
+
+test("clone always creates a new entity, the map only remaps references", () => {
+    const registry = new Registry();
+    const [entity, other, replacement] = [registry.create(), registry.create(), registry.create()];
+    registry.add(entity, Link, undefined, [entity, other]);
+
+    const remap = new Map([[entity, entity], [other, replacement]]);
+    const first = registry.clone(entity, remap);
+    const second = registry.clone(entity, remap);
+
+    assert.equal(new Set([entity, first, second]).size, 3);
+    assert.deepEqual({ ...registry.get(entity, Link) }, { self: entity, other }, "the entity is not copied onto itself");
+    assert.deepEqual({ ...registry.get(second, Link) }, { self: second, other: replacement });
+    assert.equal(remap.get(entity), second);
+});
+
+test("copyTo reuses the entity the map gives in the other registry", () => {
+    const [source, target] = [new Registry(), new Registry()];
+    const entity = source.create();
+    source.add(entity, Pos, undefined, [5, 5]);
+
+    const existing = target.create();
+    assert.equal(source.copyTo(target, entity, new Map([[entity, existing]])), existing);
+    assert.equal(target.get(existing, Pos).x, 5);
+
+    source.destroy(entity);
+    assert.throws(() => source.clone(entity), /Entity does not exist/);
+});
@@ -0,0 +1,111 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, CommandBuffer, VersionOverflow, EntityHandleSmall, DefaultEntityStoreOptions, DefaultRegistryOptions } from "../src/index.js";
+import { Pos, Vel } from "./components.js";
+
+test("flush applies the commands in order and maps the placeholders", () => {
+    const registry = new Registry();
+    const buffer = new CommandBuffer();
+
+    const placeholder = buffer.create();
+    buffer.add(placeholder, Pos, undefined, [1]);
+    buffer.replace(placeholder, Pos, [2]);
+    buffer.patch(placeholder, Pos, (pos) => { pos.y = 5; });
+    buffer.add(placeholder, Vel);
+    buffer.remove(placeholder, Vel);
+
+    assert.ok(buffer.isPlaceholder(placeholder));
+    const created = buffer.flush(registry);
+    const entity = /** @type {number} */ (created.get(placeholder));
+
+    assert.ok(registry.valid(entity));
+    assert.deepEqual({ ...registry.get(entity, Pos) }, { x: 2, y: 5 });
+    assert.equal(registry.has(entity, Vel), false);
+    assert.equal(buffer.len(), 0);
+});
+
+test("it is safe to destroy entities while iterating a view", () => {
+    const registry = new Registry();
+    for (let i = 0; i < 10; i++) registry.add(registry.create(), Pos, undefined, [i]);
+
+    const buffer = new CommandBuffer();
+    registry.view(Pos).forEach((entity, pos) => {
+        if (pos.x % 2 === 0) buffer.destroy(entity);
+    });
+    buffer.flush(registry);
+
+    assert.equal(registry.len(Pos), 5);
+    registry.view(Pos).forEach((_entity, pos) => assert.equal(pos.x % 2, 1));
+});
+
+test("commands on destroyed entities are skipped", () => {
+    const registry = new Registry();
+    const entity = registry.create();
+    const buffer = new CommandBuffer();
+
+    buffer.destroy(entity);
+    buffer.add(entity, Pos);
+    buffer.flush(registry);
+
+    assert.equal(registry.valid(entity), false);
+    assert.equal(registry.len(Pos), -1);
+});
+
+test("a failing command is found before anything is applied and the buffer is kept", () => {
+    const registry = new Registry();
+    const entity = registry.create();
+    const buffer = new CommandBuffer();
+
+    const placeholder = buffer.create();
+    buffer.add(placeholder, Pos);
+    buffer.replace(entity, Pos, [1]);
+    buffer.add(entity, Vel);
+
+    assert.throws(() => buffer.flush(registry), /does not have/);
+    assert.equal(buffer.len(), 4);
+    assert.equal(registry.len(Pos), -1);
+    assert.equal(registry.stats().entities.alive, 1);
+});
+
+test("commands after one throwing while applied stay in the buffer", () => {
+    const registry = new Registry();
+    const buffer = new CommandBuffer();
+
+    const placeholder = buffer.create();
+    buffer.add(placeholder, Pos);
+    buffer.patch(placeholder, Pos, () => { throw new Error("patch failed"); });
+    buffer.add(placeholder, Vel);
+
+    assert.throws(() => buffer.flush(registry), /patch failed/);
+    assert.equal(registry.len(Pos), 1);
+    assert.equal(buffer.len(), 2);
+
+    buffer.clear();
+    buffer.flush(registry);
+    assert.equal(registry.len(Vel), -1);
+});
+
+test("a destroy overflowing a version is found before anything is applied", () => {
+    const entityOptions = { ...DefaultEntityStoreOptions, handler: EntityHandleSmall, overflow: VersionOverflow.Throw };
+    const registry = new Registry({ ...DefaultRegistryOptions, entityOptions });
+
+    let last = registry.create();
+    for (let v = 0; v < (1 << EntityHandleSmall.bits.versionBits) - 1; v++) {
+        registry.destroy(last);
+        last = registry.create();
+    }
+
+    const other = registry.create();
+    const buffer = new CommandBuffer();
+    buffer.add(other, Pos);
+    buffer.destroy(last);
+
+    assert.equal(registry.canDestroy(last), false);
+    assert.throws(() => buffer.flush(registry), /Command 1 destroys an entity whose version would overflow/);
+    assert.equal(buffer.len(), 2);
+    assert.equal(registry.len(Pos), -1);
+    assert.ok(registry.valid(last));
+});
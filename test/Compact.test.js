@@ -0,0 +1,47 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, EntityStore, DefaultEntityStoreOptions, DefaultRegistryOptions } from "../src/index.js";
+import { Pos } from "./components.js";
+
+test("compact releases the unused capacity and the stores grow back on demand", () => {
+    const registry = new Registry();
+    const entities = Array.from({ length: 3000 }, () => registry.create());
+    for (const entity of entities) registry.add(entity, Pos);
+    for (const entity of entities.slice(2)) registry.destroy(entity);
+
+    assert.ok(registry.compact() > 0);
+    assert.equal(registry.stats().components.get(Pos)?.capacity, DefaultRegistryOptions.componentOptions.poolSize);
+    assert.equal(registry.compact(), 0, "nothing is left to release");
+
+    const more = Array.from({ length: 2000 }, () => registry.create());
+    for (const entity of more) registry.add(entity, Pos);
+    assert.equal(registry.len(Pos), 2002);
+});
+
+test("an entity store which cannot resize keeps its capacity", () => {
+    const store = new EntityStore({ ...DefaultEntityStoreOptions, capacity: 64, resizable: false });
+    store.create();
+    store.create();
+
+    assert.equal(store.shrinkToFit(), 0);
+    assert.equal(store.stats().capacity, 64);
+    for (let i = 2; i < 63; i++) store.create();
+    assert.equal(store.stats().alive, 63);
+});
+
+test("component stores added to without resize keep their pool size", () => {
+    const registry = new Registry();
+    const config = { ...DefaultRegistryOptions.componentOptions, poolSize: 64, resize: false };
+    const entities = Array.from({ length: 64 }, () => registry.create());
+    registry.add(entities[0], Pos, undefined, [], config);
+    registry.add(entities[1], Pos, undefined, [], config);
+
+    registry.compact();
+    assert.equal(registry.stats().components.get(Pos)?.capacity, 64);
+
+    for (const entity of entities.slice(2)) assert.equal(registry.add(entity, Pos, undefined, [], config), 0);
+    assert.equal(registry.len(Pos), 64);
+});
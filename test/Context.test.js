@@ -0,0 +1,72 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, registerComponent } from "../src/index.js";
+
+/**
+ * @class
+ * @classdesc Resource holding the frame time
+ */
+class Time {
+    /**
+     * Costrutor for the resource
+     * @param {number} [delta] Time since the last frame
+     */
+    constructor(delta = 0) {
+        this.delta = delta;
+    }
+}
+
+/**
+ * @class
+ * @classdesc Resource which is never registerd
+ */
+class Input {}
+
+registerComponent("context.Time", Time);
+
+test("emplace creates a resource once and get returns it", () => {
+    const registry = new Registry();
+    const time = registry.ctx.emplace(Time, 0.5);
+
+    assert.equal(registry.ctx.emplace(Time, 9), time, "an existing resource is kept");
+    assert.equal(registry.ctx.get(Time).delta, 0.5);
+    assert.ok(registry.ctx.has(Time));
+});
+
+test("get throws and tryGet returns null for a missing resource", () => {
+    const registry = new Registry();
+    registry.ctx.emplace(Input);
+
+    assert.equal(registry.ctx.erase(Input), true);
+    assert.equal(registry.ctx.erase(Input), false);
+    assert.throws(() => registry.ctx.get(Input), /no such resource/);
+    assert.equal(registry.ctx.tryGet(Input), null);
+});
+
+test("registerd resources are kept by snapshots", () => {
+    const registry = new Registry();
+    registry.ctx.emplace(Time, 0.25);
+    registry.ctx.emplace(Input);
+
+    const snapshot = registry.snapshot();
+    assert.deepEqual(Object.keys(snapshot.ctx ?? {}), ["context.Time"]);
+
+    const restored = Registry.restore(JSON.parse(JSON.stringify(snapshot)));
+    assert.ok(restored.ctx.get(Time) instanceof Time);
+    assert.equal(restored.ctx.get(Time).delta, 0.25);
+    assert.equal(restored.ctx.has(Input), false);
+});
+
+test("registerd resources are kept by the binary format", () => {
+    const registry = new Registry();
+    registry.ctx.emplace(Time, 0.5);
+    registry.ctx.emplace(Input);
+
+    const decoded = Registry.fromBinary(registry.toBinary());
+    assert.ok(decoded.ctx.get(Time) instanceof Time);
+    assert.equal(decoded.ctx.get(Time).delta, 0.5);
+    assert.equal(decoded.ctx.has(Input), false);
+});
@@ -0,0 +1,78 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, World, Phase } from "../src/index.js";
+
+/**
+ * @class
+ * @classdesc Event sent when two entities collide
+ */
+class Collision {
+    /**
+     * Costrutor for the event
+     * @param {number} a The first entity
+     * @param {number} b The second entity
+     */
+    constructor(a, b) {
+        this.a = a;
+        this.b = b;
+    }
+}
+
+test("events are readable after the buffers swap and dropped after the next swap", () => {
+    const queue = new Registry().events(Collision);
+    const reader = queue.reader();
+
+    queue.send(new Collision(1, 2));
+    assert.equal(queue.pending(), 1);
+    assert.deepEqual([...reader.read()], [], "the current frame is not readable yet");
+
+    queue.update();
+    assert.deepEqual([...reader.read()].map((event) => event.a), [1]);
+    assert.deepEqual([...reader.read()], [], "an event is read once per reader");
+
+    const late = queue.reader();
+    queue.update();
+    assert.equal(late.len(), 0, "unread events are dropped by the next swap");
+});
+
+test("each reader keeps its own cursor", () => {
+    const queue = new Registry().events(Collision);
+    const first = queue.reader();
+    const second = queue.reader();
+
+    queue.send(new Collision(1, 2));
+    queue.send(new Collision(3, 4));
+    queue.update();
+
+    assert.equal([...first.read()].length, 2);
+    assert.equal(second.len(), 2);
+    second.clear();
+    assert.equal(second.len(), 0);
+});
+
+test("send rejects events of another type", () => {
+    const queue = new Registry().events(Collision);
+    assert.throws(() => queue.send({ a: 1, b: 2 }), /not a Collision/);
+});
+
+test("events sent during a world step are read in the next one", () => {
+    const world = new World();
+    const reader = world.registry.events(Collision).reader();
+    /** @type {number[]} */
+    const damaged = [];
+
+    world.addSystem((w) => {
+        if (damaged.length === 0) w.registry.events(Collision).send(new Collision(5, 6));
+    }, { name: "physics", phase: Phase.Update });
+    world.addSystem(() => {
+        for (const event of reader.read()) damaged.push(event.b);
+    }, { name: "damage", phase: Phase.PostUpdate });
+
+    world.step(0);
+    assert.deepEqual(damaged, []);
+    world.step(0);
+    assert.deepEqual(damaged, [6]);
+});
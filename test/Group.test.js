@@ -0,0 +1,72 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry } from "../src/index.js";
+import { Pos, Vel } from "./components.js";
+
+/** @import {Group} from "../src/index.js" */
+
+/**
+ * Function to check that the group prefix of every owned store holds the same entities in the same order
+ * @param {Registry} registry The registry
+ * @param {Group} group The group
+ */
+function assertPacked(registry, group) {
+    const len = group.len();
+    const pos = [...registry.raw(Pos).data].slice(0, len);
+    const vel = [...registry.raw(Vel).data].slice(0, len);
+    const entities = [...group.data()].slice(0, len);
+
+    for (let i = 0; i < len; i++) {
+        assert.equal(registry.get(entities[i], Pos), pos[i]);
+        assert.equal(registry.get(entities[i], Vel), vel[i]);
+    }
+}
+
+test("group packs the entities having all the owned components at the front", () => {
+    const registry = new Registry();
+    const [a, b, c] = [registry.create(), registry.create(), registry.create()];
+    registry.add(a, Pos);
+    registry.add(b, Pos);
+    registry.add(b, Vel);
+
+    const group = registry.group(Pos, Vel);
+    assert.equal(group.len(), 1);
+    assert.ok(group.contains(b));
+
+    registry.add(c, Vel);
+    registry.add(c, Pos);
+    registry.add(a, Vel);
+    assert.equal(group.len(), 3);
+    assertPacked(registry, group);
+});
+
+test("group stays packed across remove, removeAll and destroy", () => {
+    const registry = new Registry();
+    const group = registry.group(Pos, Vel);
+    const entities = [];
+    for (let i = 0; i < 6; i++) {
+        const entity = registry.create();
+        registry.add(entity, Pos, undefined, [i]);
+        registry.add(entity, Vel);
+        entities.push(entity);
+    }
+
+    registry.remove(entities[0], Vel);
+    registry.removeAll(entities[2]);
+    registry.destroy(entities[4]);
+
+    assert.equal(group.len(), 3);
+    assert.deepEqual(new Set([...group.entities()]), new Set([entities[1], entities[3], entities[5]]));
+    assertPacked(registry, group);
+});
+
+test("a component can be owned by one group only", () => {
+    const registry = new Registry();
+    const group = registry.group(Pos, Vel);
+
+    assert.equal(registry.group(Vel, Pos), group);
+    assert.throws(() => registry.group(Pos), /already owned/);
+});
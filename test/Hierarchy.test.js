@@ -0,0 +1,66 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, Traversal } from "../src/index.js";
+
+test("children keep their attach order and descendants follow the traversal order", () => {
+    const registry = new Registry();
+    const [root, a, b, a1] = [registry.create(), registry.create(), registry.create(), registry.create()];
+    registry.setParent(a, root);
+    registry.setParent(b, root);
+    registry.setParent(a1, a);
+
+    assert.equal(registry.parent(a1), a);
+    assert.equal(registry.parent(root), null);
+    assert.deepEqual([...registry.children(root)], [a, b]);
+    assert.deepEqual([...registry.descendants(root)], [a, a1, b]);
+    assert.deepEqual([...registry.descendants(root, Traversal.BreadthFirst)], [a, b, a1]);
+});
+
+test("setParent rejects cycles and dead entities", () => {
+    const registry = new Registry();
+    const [parent, child] = [registry.create(), registry.create()];
+    registry.setParent(child, parent);
+
+    assert.throws(() => registry.setParent(parent, child));
+    assert.throws(() => registry.setParent(child, child));
+
+    const dead = registry.create();
+    registry.destroy(dead);
+    assert.throws(() => registry.setParent(child, dead), /Parent entity does not exist/);
+});
+
+test("destroy detaches the children unless it cascades", () => {
+    const registry = new Registry();
+    const [root, child, grandchild] = [registry.create(), registry.create(), registry.create()];
+    registry.setParent(child, root);
+    registry.setParent(grandchild, child);
+
+    registry.destroy(child);
+    assert.equal(registry.parent(grandchild), null);
+    assert.deepEqual([...registry.children(root)], []);
+
+    registry.setParent(grandchild, root);
+    registry.destroy(root, true);
+    assert.equal(registry.valid(grandchild), false);
+});
+
+test("a stale handle reads no hierarchy even once its index is reused", () => {
+    const registry = new Registry();
+    const parent = registry.create();
+    const child = registry.create();
+    registry.setParent(child, parent);
+    registry.destroy(child);
+
+    const reused = registry.create();
+    registry.setParent(reused, parent);
+    const grandchild = registry.create();
+    registry.setParent(grandchild, reused);
+
+    assert.equal(registry.parent(child), null);
+    assert.deepEqual([...registry.children(child)], []);
+    assert.deepEqual([...registry.descendants(child)], []);
+    assert.equal(registry.parent(reused), parent);
+});
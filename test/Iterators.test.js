@@ -0,0 +1,60 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, SparseSet, EntityStore, BasicView, ComponentEmpty } from "../src/index.js";
+import { Pos, Tag } from "./components.js";
+
+test("sparse sets iterate their entities like a Set", () => {
+    const entities = new EntityStore();
+    const [a, b] = [entities.create(), entities.create()];
+    const set = new SparseSet();
+    set.add(b);
+    set.add(a);
+
+    assert.deepEqual([...set], [b, a]);
+    assert.deepEqual(Array.from(set.keys()), [b, a]);
+    assert.deepEqual([...set.values()], [b, a]);
+    assert.deepEqual([...set.entries()], [[b, b], [a, a]]);
+});
+
+test("entity stores iterate only the alive entities", () => {
+    const store = new EntityStore();
+    const [a, b, c] = [store.create(), store.create(), store.create()];
+    store.remove(b);
+
+    assert.deepEqual([...store], [a, c]);
+    assert.deepEqual([...store.entries()], [[a, a], [c, c]]);
+});
+
+test("component stores and basic views iterate [entity, component] pairs like a Map", () => {
+    const registry = new Registry();
+    const [a, b] = [registry.create(), registry.create()];
+    registry.add(a, Pos, undefined, [1, 0]);
+    registry.add(b, Pos, undefined, [2, 0]);
+    registry.add(b, Tag, ComponentEmpty);
+
+    const store = registry.prepare(Pos);
+    assert.deepEqual([...store].map(([entity, pos]) => [entity, pos.x]), [[a, 1], [b, 2]]);
+    assert.deepEqual([...store.keys()], [a, b]);
+    assert.deepEqual([...store.values()].map((pos) => pos.x), [1, 2]);
+    assert.deepEqual(new Map(store).get(b)?.x, 2);
+
+    assert.deepEqual([...new BasicView(store)].map(([entity]) => entity), [a, b]);
+    assert.deepEqual([...registry.prepare(Tag)], [[b, null]], "tags are given as null");
+});
+
+test("the allocation free iterators still walk the same components", () => {
+    const registry = new Registry();
+    const [a, b] = [registry.create(), registry.create()];
+    registry.add(a, Pos, undefined, [1, 0]);
+    registry.add(b, Pos, undefined, [2, 0]);
+
+    /** @type {number[]} */
+    const seen = [];
+    const iterator = registry.prepare(Pos).Iterator();
+    for (let pos = iterator.next(); pos !== null; pos = iterator.next()) seen.push(pos.x);
+
+    assert.deepEqual(seen, [1, 2]);
+});
@@ -0,0 +1,84 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry } from "../src/index.js";
+import { Pos, Vel, Tag } from "./components.js";
+
+test("observer records changed entities matching the filters until cleared", () => {
+    const registry = new Registry();
+    const observer = registry.observer({ changed: [Pos], all: [Vel] });
+    const [a, b] = [registry.create(), registry.create()];
+    registry.add(a, Pos);
+    registry.add(a, Vel);
+    registry.add(b, Pos);
+
+    registry.patch(a, Pos, (pos) => { pos.x = 3; });
+    registry.replace(b, Pos, [1]);
+
+    assert.deepEqual([...observer.changed()], [a]);
+    assert.equal(registry.get(a, Pos).x, 3);
+
+    observer.clear();
+    assert.ok(observer.empty());
+});
+
+test("observer records removed entities and forgets added ones losing the trigger", () => {
+    const registry = new Registry();
+    const observer = registry.observer({ added: [Pos], removed: [Pos] });
+    const entity = registry.create();
+
+    registry.add(entity, Pos);
+    assert.deepEqual([...observer.added()], [entity]);
+
+    registry.remove(entity, Pos);
+    assert.deepEqual([...observer.added()], []);
+    assert.deepEqual([...observer.removed()], [entity]);
+});
+
+test("an entity is recorded as added when an all component is added after the trigger", () => {
+    const registry = new Registry();
+    const observer = registry.observer({ added: [Pos], all: [Vel] });
+    const entity = registry.create();
+
+    registry.add(entity, Pos);
+    assert.deepEqual([...observer.added()], []);
+
+    registry.add(entity, Vel);
+    assert.deepEqual([...observer.added()], [entity]);
+});
+
+test("an entity is recorded as added when its none component is removed", () => {
+    const registry = new Registry();
+    const observer = registry.observer({ added: [Pos], none: [Tag] });
+    const entity = registry.create();
+    registry.add(entity, Tag);
+    registry.add(entity, Pos);
+    assert.deepEqual([...observer.added()], []);
+
+    registry.remove(entity, Tag);
+    assert.deepEqual([...observer.added()], [entity]);
+});
+
+test("entities without the trigger component do not enter through the filters", () => {
+    const registry = new Registry();
+    const observer = registry.observer({ added: [Pos], all: [Vel], none: [Tag] });
+    const entity = registry.create();
+    registry.add(entity, Tag);
+
+    registry.add(entity, Vel);
+    registry.remove(entity, Tag);
+    assert.ok(observer.empty());
+});
+
+test("a disconnected observer records nothing", () => {
+    const registry = new Registry();
+    const observer = registry.observer({ added: [Pos], all: [Vel] });
+    observer.disconnect();
+
+    const entity = registry.create();
+    registry.add(entity, Vel);
+    registry.add(entity, Pos);
+    assert.ok(observer.empty());
+});
@@ -0,0 +1,57 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, ComponentEmpty, ComponentSchema } from "../src/index.js";
+import { Pos, Vel, Tag, Body } from "./components.js";
+
+test("instantiate adds the components of the prefab with their args", () => {
+    const registry = new Registry();
+    registry.definePrefab("mover", [[Pos, undefined, [1, 2]], [Vel], [Tag, ComponentEmpty]]);
+
+    const entity = registry.instantiate("mover");
+    assert.deepEqual({ ...registry.get(entity, Pos) }, { x: 1, y: 2 });
+    assert.ok(registry.has(entity, Vel));
+    assert.ok(registry.has(entity, Tag));
+});
+
+test("a prefab inherits the components of the one it extends and can override them", () => {
+    const registry = new Registry();
+    const base = registry.definePrefab("base", [[Pos, undefined, [1, 1]], [Vel, undefined, [5]]]);
+    const child = registry.definePrefab("child", [[Pos, undefined, [9, 9]], [Body, ComponentSchema, [3]]], { extends: "base" });
+
+    assert.ok(child.is(base));
+    assert.equal(base.is(child), false);
+    assert.ok(child.has(Vel));
+
+    const entity = registry.instantiate("child");
+    assert.equal(registry.get(entity, Pos).x, 9);
+    assert.equal(registry.get(entity, Vel).dx, 5);
+    assert.equal(registry.get(entity, Body).mass, 3);
+});
+
+test("overrides replace the args per instance and add missing components", () => {
+    const registry = new Registry();
+    registry.definePrefab("mover", [[Pos, undefined, [1, 2]]]);
+
+    const entity = registry.instantiate("mover", [[Pos, [7, 8]], [Vel, [3]]]);
+    assert.deepEqual({ ...registry.get(entity, Pos) }, { x: 7, y: 8 });
+    assert.equal(registry.get(entity, Vel).dx, 3);
+
+    const plain = registry.instantiate("mover");
+    assert.equal(registry.get(plain, Pos).x, 1, "overrides do not change the prefab");
+});
+
+test("prefab errors are reported and a failed instantiate leaves no entity", () => {
+    const registry = new Registry();
+    registry.definePrefab("a", [[Pos]]);
+
+    assert.throws(() => registry.definePrefab("a", []), /already defined/);
+    assert.throws(() => registry.definePrefab("b", [], { extends: "missing" }), /not defined/);
+    assert.throws(() => registry.instantiate("missing"), /not defined/);
+
+    registry.definePrefab("broken", [[Pos], [Tag, ComponentSchema]]);
+    assert.throws(() => registry.instantiate("broken"));
+    assert.equal(registry.stats().entities.alive, 0);
+});
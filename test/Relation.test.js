@@ -0,0 +1,77 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, Wildcard } from "../src/index.js";
+
+/**
+ * Relation with data
+ */
+class Targets {
+    /**
+     * Costrutor for the relation data
+     * @param {number} priority Priority of the target
+     */
+    constructor(priority = 0) {
+        this.priority = priority;
+    }
+}
+
+/**
+ * Relation without data
+ */
+class Likes {}
+
+test("relate stores a pair with its data and replaces the data of an existing pair", () => {
+    const registry = new Registry();
+    const [archer, orc] = [registry.create(), registry.create()];
+
+    registry.relate(archer, Targets, orc, [1]);
+    registry.relate(archer, Targets, orc, [4]);
+
+    assert.ok(registry.hasRelation(archer, Targets, orc));
+    assert.equal(registry.hasRelation(orc, Targets, archer), false);
+    assert.equal(registry.getRelation(archer, Targets, orc)?.priority, 4);
+    assert.deepEqual([...registry.pairs(Targets)].map(([s, t]) => [s, t]), [[archer, orc]]);
+});
+
+test("wildcards match every relation type and every target", () => {
+    const registry = new Registry();
+    const [a, b, c] = [registry.create(), registry.create(), registry.create()];
+    registry.relate(a, Targets, b);
+    registry.relate(a, Likes, b);
+    registry.relate(a, Likes, c);
+    registry.relate(c, Likes, b);
+
+    assert.deepEqual([...registry.targets(a)], [b, c], "each target is yielded once");
+    assert.deepEqual([...registry.targets(a, Targets)], [b]);
+    assert.deepEqual([...registry.sources(Wildcard, b)].sort(), [a, c].sort());
+    assert.deepEqual([...registry.sources(Likes)].sort(), [a, c].sort());
+    assert.ok(registry.hasRelation(c, Wildcard));
+
+    assert.equal(registry.unrelate(a, Wildcard, Wildcard), 3);
+    assert.equal(registry.hasRelation(a, Wildcard), false);
+    assert.ok(registry.hasRelation(c, Likes, b));
+});
+
+test("destroying an entity removes the pairs it is the source or the target of", () => {
+    const registry = new Registry();
+    const [a, b, c] = [registry.create(), registry.create(), registry.create()];
+    registry.relate(a, Likes, b);
+    registry.relate(b, Likes, c);
+
+    registry.destroy(b);
+    assert.deepEqual([...registry.pairs(Likes)], []);
+    assert.deepEqual([...registry.targets(a)], []);
+});
+
+test("relate rejects dead entities and the Wildcard type", () => {
+    const registry = new Registry();
+    const [a, dead] = [registry.create(), registry.create()];
+    registry.destroy(dead);
+
+    assert.throws(() => registry.relate(a, Likes, dead), /Target entity does not exist/);
+    assert.throws(() => registry.relate(dead, Likes, a), /Source entity does not exist/);
+    assert.throws(() => registry.relate(a, Wildcard, a), /Wildcard/);
+});
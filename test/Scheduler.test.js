@@ -0,0 +1,82 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Scheduler, Phase, World } from "../src/index.js";
+
+test("phases run in order and systems follow before/after constraints", () => {
+    const world = new World();
+    /** @type {string[]} */
+    const ran = [];
+
+    world.addSystem(() => ran.push("render"), { name: "render", phase: Phase.Render });
+    world.addSystem(() => ran.push("b"), { name: "b" });
+    world.addSystem(() => ran.push("a"), { name: "a", before: ["b"] });
+    world.addSystem(() => ran.push("pre"), { name: "pre", phase: Phase.PreUpdate });
+    world.addSystem(() => ran.push("c"), { name: "c", after: ["render"] });
+
+    world.step(0);
+    assert.deepEqual(ran, ["pre", "a", "b", "c", "render"]);
+});
+
+test("a cycle in the constraints is reported", () => {
+    const scheduler = new Scheduler();
+    scheduler.add(() => {}, { name: "a", after: ["b"] });
+    scheduler.add(() => {}, { name: "b", after: ["a"] });
+
+    assert.throws(() => scheduler.order(Phase.Update), /Cycle/);
+});
+
+test("unknown systems in constraints and duplicate names are rejected", () => {
+    const scheduler = new Scheduler();
+    scheduler.add(() => {}, { name: "a", after: ["missing"] });
+
+    assert.throws(() => scheduler.order(Phase.Update), /Unknown system/);
+    assert.throws(() => scheduler.add(() => {}, { name: "a" }), /already registerd/);
+    assert.throws(() => scheduler.add(() => {}, { name: "x", phase: "nope" }), /Unknown phase/);
+});
+
+test("fixedUpdate runs on an accumulator with the fixed delta", () => {
+    const scheduler = new Scheduler({ fixedDelta: 0.1, maxFixedSteps: 3 });
+    /** @type {number[]} */
+    const steps = [];
+    scheduler.add((_world, dt) => steps.push(dt), { name: "physics", phase: Phase.FixedUpdate });
+
+    scheduler.run(null, 0.25);
+    assert.deepEqual(steps, [0.1, 0.1]);
+    assert.ok(Math.abs(scheduler.alpha() - 0.5) < 1e-9);
+
+    steps.length = 0;
+    scheduler.run(null, 10);
+    assert.equal(steps.length, 3, "capped by maxFixedSteps");
+    assert.ok(scheduler.alpha() < 1);
+});
+
+test("removed systems do not run", () => {
+    const scheduler = new Scheduler();
+    let calls = 0;
+    scheduler.add(() => calls++, { name: "counter" });
+    scheduler.run(null, 0);
+
+    assert.ok(scheduler.remove("counter"));
+    scheduler.run(null, 0);
+    assert.equal(calls, 1);
+});
+
+test("run rejects async systems before their dependents run", async () => {
+    const world = new World();
+    /** @type {string[]} */
+    const ran = [];
+
+    world.addSystem(async () => {
+        await Promise.resolve();
+        throw new Error("boom");
+    }, { name: "load" });
+    world.addSystem(() => ran.push("use"), { name: "use", after: ["load"] });
+
+    assert.throws(() => world.step(0), /System 'load' is async, use runAsync/);
+    assert.deepEqual(ran, []);
+
+    await assert.rejects(world.stepAsync(0), /boom/);
+});
@@ -0,0 +1,67 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, ComponentSchema, ComponentStore } from "../src/index.js";
+import { Body } from "./components.js";
+
+test("schema components are stored as one typed array per field", () => {
+    const registry = new Registry();
+    const [a, b] = [registry.create(), registry.create()];
+    registry.add(a, Body, ComponentSchema, [1.5, 7]);
+    registry.add(b, Body, ComponentSchema, [2.5]);
+
+    const { columns, len } = registry.rawColumns(Body);
+    assert.equal(len, 2);
+    assert.ok(columns.mass instanceof Float32Array);
+    assert.ok(columns.id instanceof Uint32Array);
+    assert.deepEqual([...columns.mass.slice(0, 2)], [1.5, 2.5]);
+    assert.deepEqual([...columns.id.slice(0, 2)], [7, 0]);
+});
+
+test("refs read and write the columns and follow swaps", () => {
+    const registry = new Registry();
+    const [a, b] = [registry.create(), registry.create()];
+    registry.add(a, Body, ComponentSchema, [1]);
+    registry.add(b, Body, ComponentSchema, [2]);
+
+    const ref = registry.get(b, Body);
+    ref.mass = 4;
+    registry.remove(a, Body);
+
+    assert.equal(ref.mass, 4);
+    assert.equal(registry.rawColumns(Body).columns.mass[0], 4);
+    assert.deepEqual(registry.getConst(b, Body), { mass: 4, id: 0 });
+});
+
+test("a ref of an entity which lost the component throws", () => {
+    const registry = new Registry();
+    const entity = registry.create();
+    registry.add(entity, Body, ComponentSchema, [1]);
+
+    const ref = registry.get(entity, Body);
+    registry.remove(entity, Body);
+
+    assert.throws(() => ref.mass, /stale Ref/);
+    assert.throws(() => { ref.mass = 3; }, /stale Ref/);
+});
+
+test("a schema component needs a valid static schema", () => {
+    /**
+     * @class
+     * @classdesc Component with a field of an unknown type
+     */
+    class Broken {
+        static schema = { x: "f128" };
+    }
+
+    /**
+     * @class
+     * @classdesc Component without a schema
+     */
+    class Plain {}
+
+    assert.throws(() => new ComponentStore(Broken, ComponentSchema), /Unknown type/);
+    assert.throws(() => new ComponentStore(Plain, ComponentSchema), /static schema/);
+});
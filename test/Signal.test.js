@@ -0,0 +1,74 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, Signal } from "../src/index.js";
+import { Pos, Vel } from "./components.js";
+
+/** @import {ComponentConstructor} from "../src/ecs/ComponentStore.js" */
+
+/**
+ * Function to record the lifecycle signals of a component type as [kind, entity] pairs
+ * @param {Registry} registry The registry
+ * @param {ComponentConstructor} comp The component type
+ * @returns {[string, unknown][]} The recorded events, filled as the signals fire
+ */
+function record(registry, comp) {
+    /** @type {[string, unknown][]} */
+    const events = [];
+    registry.onConstruct(comp).connect((reg, entity) => {
+        assert.equal(reg, registry);
+        events.push(["construct", entity]);
+    });
+    registry.onUpdate(comp).connect((_reg, entity) => events.push(["update", entity]));
+    registry.onDestroy(comp).connect((reg, entity) => {
+        assert.ok(reg.has(entity, comp), "component is still readable in onDestroy");
+        events.push(["destroy", entity]);
+    });
+
+    return events;
+}
+
+test("signals fire from add, replace, fetchReplace and the remove paths", () => {
+    const registry = new Registry();
+    const events = record(registry, Pos);
+    const entity = registry.create();
+
+    registry.add(entity, Pos);
+    registry.replace(entity, Pos, [1]);
+    registry.fetchReplace(entity, Pos, [2]);
+    registry.remove(entity, Pos);
+    registry.removeIfExist(entity, Pos);
+    registry.addComps(entity, [[Pos]]);
+    registry.removeAll(entity);
+    registry.add(entity, Pos);
+    registry.destroy(entity);
+
+    assert.deepEqual(events.map(([kind]) => kind), [
+        "construct", "update", "update", "destroy", "construct", "destroy", "construct", "destroy",
+    ]);
+    assert.ok(events.every(([, e]) => e === entity));
+});
+
+test("signals are per component type", () => {
+    const registry = new Registry();
+    const events = record(registry, Vel);
+    registry.add(registry.create(), Pos);
+
+    assert.equal(events.length, 0);
+});
+
+test("disconnected listeners are not called", () => {
+    const signal = new Signal();
+    let calls = 0;
+    const listener = () => calls++;
+
+    signal.connect(listener);
+    signal.emit();
+    signal.disconnect(listener);
+    signal.emit();
+
+    assert.equal(calls, 1);
+    assert.equal(signal.len(), 0);
+});
@@ -0,0 +1,103 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, registerComponent, ComponentEmpty, ComponentSchema, EntityHandleSmall, DefaultRegistryOptions } from "../src/index.js";
+
+/**
+ * @class
+ * @classdesc Component holding a reference to another entity
+ */
+class Follow {
+    /**
+     * Costrutor for the component
+     * @param {number} [target] The followed entity
+     */
+    constructor(target = -1) {
+        this.target = target;
+    }
+}
+
+/**
+ * @class
+ * @classdesc Marker component
+ */
+class Player {}
+
+/**
+ * @class
+ * @classdesc Schema component
+ */
+class Speed {
+    static schema = { value: "f64" };
+}
+
+/**
+ * @class
+ * @classdesc Component which is never registerd
+ */
+class Unregisterd {}
+
+registerComponent("snapshot.Follow", Follow);
+registerComponent("snapshot.Player", Player);
+registerComponent("snapshot.Speed", Speed);
+
+/**
+ * Function to create a registry with freed slots, versions and every kind of component
+ * @returns {{registry: Registry, a: number, c: number}} The registry and two of its entities
+ */
+function populated() {
+    const registry = new Registry();
+    const a = registry.create();
+    const b = registry.create();
+    registry.destroy(b);
+    const c = registry.create();
+    registry.create();
+    registry.destroy(registry.create());
+
+    registry.add(a, Follow, undefined, [c]);
+    registry.add(c, Player, ComponentEmpty);
+    registry.add(c, Speed, ComponentSchema, [2.5]);
+    registry.add(a, Unregisterd);
+
+    return { registry, a, c };
+}
+
+test("restore gives back the same entities, versions and free list", () => {
+    const { registry, a, c } = populated();
+    const restored = Registry.restore(JSON.parse(JSON.stringify(registry.snapshot())));
+
+    assert.ok(restored.valid(a));
+    assert.ok(restored.valid(c));
+    assert.equal(restored.get(a, Follow).target, c);
+    assert.ok(restored.get(a, Follow) instanceof Follow);
+    assert.ok(restored.has(c, Player));
+    assert.equal(restored.get(c, Speed).value, 2.5);
+    assert.equal(restored.len(Unregisterd), -1, "unregisterd types are not saved");
+
+    assert.equal(restored.create(), registry.create(), "the free list is restored");
+    assert.deepEqual(restored.stats().entities, registry.stats().entities);
+});
+
+test("restore rejects other versions and entity layouts", () => {
+    const snapshot = populated().registry.snapshot();
+
+    assert.throws(() => Registry.restore({ ...snapshot, version: 999 }), /Unsupported snapshot version/);
+    assert.throws(() => Registry.restore(snapshot, {
+        ...DefaultRegistryOptions,
+        entityOptions: { ...DefaultRegistryOptions.entityOptions, handler: EntityHandleSmall },
+    }), /different Entity Handler layout/);
+});
+
+test("restore rejects component names which are not registerd", () => {
+    const snapshot = populated().registry.snapshot();
+    snapshot.components["snapshot.Missing"] = snapshot.components["snapshot.Follow"];
+
+    assert.throws(() => Registry.restore(snapshot), /not registerd/);
+});
+
+test("registering a name or a type twice with another one fails", () => {
+    assert.throws(() => registerComponent("snapshot.Follow", Player), /already registerd/);
+    assert.throws(() => registerComponent("snapshot.Other", Follow), /already registerd/);
+});
@@ -0,0 +1,97 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, ComponentEmpty, ComponentSchema } from "../src/index.js";
+import { Pos, Vel, Tag, Body } from "./components.js";
+
+/**
+ * Function to create a registry with entities having a Pos of the given x values
+ * @param {number[]} xs The x of each entity in the order created
+ * @returns {{registry: Registry, entities: number[]}} The registry and its entities
+ */
+function withPositions(xs) {
+    const registry = new Registry();
+    const entities = xs.map((x) => {
+        const entity = /** @type {number} */ (registry.create());
+        registry.add(entity, Pos, undefined, [x, 0]);
+        return entity;
+    });
+
+    return { registry, entities };
+}
+
+test("sort orders the dense list by the components and keeps the lookups right", () => {
+    const { registry, entities } = withPositions([5, 1, 4, 2, 3]);
+
+    registry.sort(Pos, (a, b) => a.x - b.x);
+
+    assert.deepEqual([...registry.prepare(Pos).values()].map((pos) => pos.x), [1, 2, 3, 4, 5]);
+    entities.forEach((entity, i) => assert.equal(registry.get(entity, Pos).x, [5, 1, 4, 2, 3][i]));
+});
+
+test("the stable option keeps equal components in their order", () => {
+    const { registry, entities } = withPositions([1, 0, 1, 0, 1, 0]);
+
+    registry.sort(Pos, (a, b) => a.x - b.x, { stable: true });
+
+    assert.deepEqual([...registry.prepare(Pos).keys()], [1, 3, 5, 0, 2, 4].map((i) => entities[i]));
+});
+
+test("the comparator gets the entities and sorts tags and schema columns", () => {
+    const registry = new Registry();
+    const entities = [0, 1, 2].map(() => /** @type {number} */ (registry.create()));
+    entities.forEach((entity, i) => {
+        registry.add(entity, Tag, ComponentEmpty);
+        registry.add(entity, Body, ComponentSchema, [i, 10 + i]);
+    });
+
+    registry.sort(Tag, (_a, _b, entityA, entityB) => Number(entityB) - Number(entityA));
+    registry.sort(Body, (a, b) => b.mass - a.mass);
+
+    assert.deepEqual([...registry.prepare(Tag).keys()], [...entities].reverse());
+    assert.deepEqual([...registry.prepare(Body).values()].map((body) => body.id), [12, 11, 10]);
+    assert.equal(registry.get(entities[0], Body).id, 10);
+});
+
+test("sort moves the ticks along with the components", () => {
+    const { registry, entities } = withPositions([2, 1]);
+    const store = registry.prepare(Pos);
+    store.markChanged(entities[0], 7);
+
+    registry.sort(Pos, (a, b) => a.x - b.x);
+
+    assert.equal(store.changedTick(entities[0]), 7);
+    assert.notEqual(store.changedTick(entities[1]), 7);
+});
+
+test("sort rejects unknown and group owned components", () => {
+    const { registry } = withPositions([1]);
+
+    assert.throws(() => registry.sort(Vel, () => 0), /no such component/);
+    registry.group(Pos, Vel);
+    assert.throws(() => registry.sort(Pos, () => 0), /owned by a group/);
+});
+
+test("sortAs orders the shared entities like the source and moves the rest to the back", () => {
+    const registry = new Registry();
+    const [a, b, c, d] = [0, 1, 2, 3].map(() => registry.create());
+    for (const entity of [a, b, c]) registry.add(entity, Pos);
+    for (const entity of [d, c, a]) registry.add(entity, Vel);
+
+    registry.sortAs(Vel, Pos);
+
+    assert.deepEqual([...registry.prepare(Vel).keys()], [a, c, d]);
+    assert.ok(registry.has(d, Vel));
+    assert.equal(registry.prepare(Vel).index(c), 1);
+});
+
+test("sortAs rejects unknown and group owned targets", () => {
+    const registry = new Registry();
+    registry.add(registry.create(), Pos);
+
+    assert.throws(() => registry.sortAs(Vel, Pos), /no such component/);
+    registry.group(Vel, Tag);
+    assert.throws(() => registry.sortAs(Vel, Pos), /owned by a group/);
+});
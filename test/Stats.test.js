@@ -0,0 +1,49 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, ComponentEmpty, ComponentSchema, ComponentStandard, DefaultRegistryOptions } from "../src/index.js";
+import { Pos, Tag, Body } from "./components.js";
+
+test("entity stats count the alive and free entities and the highest version", () => {
+    const registry = new Registry();
+    const [a, b] = [registry.create(), registry.create(), registry.create()];
+    registry.destroy(a);
+    registry.destroy(b);
+    registry.destroy(registry.create());
+
+    const { entities } = registry.stats();
+    assert.equal(entities.alive, 1);
+    assert.equal(entities.free, 2);
+    assert.equal(entities.retired, 0);
+    assert.equal(entities.appendIndex, 3);
+    assert.equal(entities.maxVersion, 2);
+    assert.equal(entities.capacity, DefaultRegistryOptions.entityOptions.capacity);
+});
+
+test("component stats give the occupancy and memory of every store", () => {
+    const registry = new Registry();
+    const entity = registry.create();
+    registry.add(entity, Pos);
+    registry.add(entity, Body, ComponentSchema);
+    registry.prepare(Tag, ComponentEmpty);
+
+    const { components } = registry.stats();
+    const pos = components.get(Pos);
+    assert.equal(pos?.type, ComponentStandard);
+    assert.equal(pos?.length, 1);
+    assert.equal(pos?.capacity, DefaultRegistryOptions.componentOptions.poolSize);
+    assert.equal(pos?.pages, 1);
+    assert.ok((pos?.denseBytes ?? 0) > 0 && (pos?.sparseBytes ?? 0) > 0);
+    assert.equal(pos?.empty, false);
+
+    const tag = components.get(Tag);
+    assert.equal(tag?.tag, true);
+    assert.equal(tag?.empty, true);
+    assert.equal(tag?.pages, 0);
+
+    const body = components.get(Body);
+    const columns = (4 + 4) * DefaultRegistryOptions.componentOptions.poolSize;
+    assert.ok((body?.componentBytes ?? 0) >= columns, "the schema columns are counted");
+});
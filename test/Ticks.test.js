@@ -0,0 +1,72 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { World, Phase, Added, Changed } from "../src/index.js";
+import { Pos, Vel } from "./components.js";
+
+/**
+ * @class
+ * @classdesc Component changed by the systems of the tests
+ */
+class Heat {
+    /**
+     * Costrutor for the component
+     * @param {number} [value] Amount of heat
+     */
+    constructor(value = 0) {
+        this.value = value;
+    }
+}
+
+test("Added and Changed filters only see what happened since the system last ran", () => {
+    const world = new World();
+    const { registry } = world;
+    const entity = registry.create();
+    registry.add(entity, Pos);
+
+    /** @type {number[][]} */
+    const seen = [];
+    world.addSystem(() => {
+        seen.push([...registry.view(Added(Pos)).entities(), ...registry.view(Changed(Pos)).entities()]);
+    }, { name: "watch" });
+
+    world.step(0);
+    world.step(0);
+    registry.patch(entity, Pos, (pos) => { pos.x = 1; });
+    world.step(0);
+
+    assert.deepEqual(seen, [[entity, entity], [], [entity]]);
+});
+
+test("each system gets its own last run tick, even across awaits", async () => {
+    const world = new World();
+    const { registry } = world;
+    const entity = registry.create();
+    registry.add(entity, Heat);
+
+    /** @type {{since: number, shared: number, changed: number[], fallback: number[]}[]} */
+    const runs = [];
+    world.addSystem(async (w, _dt, since) => {
+        await Promise.resolve();
+
+        runs.push({
+            since,
+            shared: w.registry.lastRunTick(),
+            changed: [...w.registry.view(Changed(Heat), { since }).entities()],
+            fallback: [...w.registry.view(Changed(Heat)).entities()],
+        });
+        w.registry.patch(entity, Heat, (heat) => { heat.value += 1; });
+    }, { name: "heat", reads: [Heat], writes: [Heat] });
+    world.addSystem(() => {}, { name: "other", reads: [Vel] });
+
+    assert.deepEqual(world.scheduler.batches(Phase.Update), [["heat", "other"]]);
+
+    await world.stepAsync(0);
+    await world.stepAsync(0);
+
+    assert.notEqual(runs[1].since, runs[1].shared, "the other system moved the tick of the registry");
+    assert.deepEqual(runs[1].changed, [entity], "the change made after the await of the last run is seen");
+    assert.deepEqual(runs[1].fallback, []);
+});
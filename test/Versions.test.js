@@ -0,0 +1,96 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, EntityStore, VersionOverflow, EntityHandleSmall, DefaultEntityStoreOptions, DefaultRegistryOptions } from "../src/index.js";
+import { Pos } from "./components.js";
+
+/** @import {EntityStoreOptions} from "../src/ecs/EntityStore.js" */
+
+/**
+ * @class
+ * @classdesc Relation used by the tests
+ */
+class Likes {}
+
+/**
+ * Function to get the options of a store of small handles (4 version bits) with an overflow policy
+ * @param {string} overflow One of VersionOverflow
+ * @param {EntityStoreOptions["onVersionWrap"]} [onVersionWrap] Callback for VersionOverflow.Wrap
+ * @returns {EntityStoreOptions} The options
+ */
+function small(overflow, onVersionWrap = null) {
+    return { ...DefaultEntityStoreOptions, handler: EntityHandleSmall, overflow, onVersionWrap };
+}
+
+/** @constant MAX_VERSION - Last version of a slot with small handles */
+const MAX_VERSION = (1 << EntityHandleSmall.bits.versionBits) - 1;
+
+/**
+ * Function to recycle the first slot of a store until its entity has the last version
+ * @param {() => number | bigint} create Creates an entity
+ * @param {(entity: number) => void} remove Removes an entity
+ * @returns {number} The entity with the last version
+ */
+function exhaust(create, remove) {
+    let entity = /** @type {number} */ (create());
+    for (let i = 0; i < MAX_VERSION; i++) {
+        remove(entity);
+        entity = /** @type {number} */ (create());
+    }
+
+    return entity;
+}
+
+test("Retire never reuses a slot whose version overflowed", () => {
+    const store = new EntityStore(small(VersionOverflow.Retire));
+    const last = exhaust(() => store.create(), (entity) => store.remove(entity));
+
+    store.remove(last);
+    const next = store.create();
+    assert.notEqual(EntityHandleSmall.index(next), EntityHandleSmall.index(last));
+    assert.equal(store.stats().retired, 1);
+});
+
+test("Wrap reuses the slot from version 0 and reports it", () => {
+    /** @type {number[]} */
+    const wrapped = [];
+    const store = new EntityStore(small(VersionOverflow.Wrap, (entity) => wrapped.push(/** @type {number} */ (entity))));
+    const last = exhaust(() => store.create(), (entity) => store.remove(entity));
+
+    store.remove(last);
+    const next = store.create();
+    assert.deepEqual(wrapped, [last]);
+    assert.equal(EntityHandleSmall.index(next), EntityHandleSmall.index(last));
+    assert.equal(EntityHandleSmall.version(next), 0);
+});
+
+test("Throw refuses the remove and canRemove tells it before", () => {
+    const store = new EntityStore(small(VersionOverflow.Throw));
+    const last = exhaust(() => store.create(), (entity) => store.remove(entity));
+
+    assert.equal(store.canRemove(last), false);
+    assert.throws(() => store.remove(last), /Version overflow/);
+    assert.ok(store.isAlive(last));
+});
+
+test("destroy changes nothing when the entity or a descendant cant be removed", () => {
+    const registry = new Registry({ ...DefaultRegistryOptions, entityOptions: small(VersionOverflow.Throw) });
+    const last = exhaust(() => registry.create(), (entity) => registry.destroy(entity));
+    const parent = registry.create();
+    const other = registry.create();
+
+    registry.add(last, Pos, undefined, [3, 4]);
+    registry.setParent(last, parent);
+    registry.relate(last, Likes, other);
+
+    assert.throws(() => registry.destroy(parent, true), /Version overflow/);
+    assert.throws(() => registry.destroy(last), /Version overflow/);
+    assert.throws(() => registry.destroyMany([other, last]), /Version overflow/);
+
+    assert.ok(registry.valid(parent) && registry.valid(other));
+    assert.equal(registry.get(last, Pos).x, 3);
+    assert.equal(registry.parent(last), parent);
+    assert.ok(registry.hasRelation(last, Likes, other));
+});
@@ -0,0 +1,55 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry } from "../src/index.js";
+import { Pos, Vel, Tag } from "./components.js";
+
+test("multi view yields the entities having all the included components", () => {
+    const registry = new Registry();
+    const [a, b, c] = [registry.create(), registry.create(), registry.create()];
+
+    registry.add(a, Pos, undefined, [1]);
+    registry.add(a, Vel);
+    registry.add(b, Pos, undefined, [2]);
+    registry.add(c, Vel);
+
+    assert.deepEqual([...registry.view(Pos, Vel).entities()], [a]);
+    assert.equal(registry.view(Pos, Vel).get(a)[0].x, 1);
+});
+
+test("multi view skips the entities having an excluded component", () => {
+    const registry = new Registry();
+    const [a, b] = [registry.create(), registry.create()];
+
+    registry.add(a, Pos);
+    registry.add(b, Pos);
+    registry.add(b, Tag);
+
+    const view = registry.view(Pos, { exclude: [Tag] });
+    assert.deepEqual([...view.entities()], [a]);
+    assert.equal(view.contains(b), false);
+});
+
+test("each and forEach give the components in the order of the included types", () => {
+    const registry = new Registry();
+    const entity = registry.create();
+    registry.add(entity, Pos, undefined, [7]);
+    registry.add(entity, Vel);
+
+    const [[e, pos, vel]] = [...registry.view(Pos, Vel).each()];
+    assert.equal(e, entity);
+    assert.equal(pos.x, 7);
+    assert.ok(vel instanceof Vel);
+
+    /** @type {number[]} */
+    const seen = [];
+    registry.view(Pos, Vel).forEach((_entity, p) => seen.push(p.x));
+    assert.deepEqual(seen, [7]);
+});
+
+test("a view needs at least one component", () => {
+    const registry = new Registry();
+    assert.throws(() => registry.view(), /Atleast one component/);
+});
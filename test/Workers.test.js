@@ -0,0 +1,121 @@
+// @ts-check
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { URL } from "node:url";
+import { execFileSync } from "node:child_process";
+import process from "node:process";
+
+import { World, DefaultRegistryOptions, ComponentSchema, Phase } from "../src/index.js";
+
+/**
+ * @class
+ * @classdesc Schema component moved by the worker systems
+ */
+class Body {
+    static schema = { y: "f64", mass: "f64" };
+}
+
+/**
+ * @class
+ * @classdesc Second schema component for the systems running next to the first
+ */
+class Heat {
+    static schema = { y: "f64", mass: "f64" };
+}
+
+/**
+ * Function to create a world whose stores are backed by SharedArrayBuffer
+ * @returns {World} The world
+ */
+function sharedWorld() {
+    return new World({
+        registryOptions: {
+            ...DefaultRegistryOptions,
+            componentOptions: { ...DefaultRegistryOptions.componentOptions, shared: true },
+        },
+        workerOptions: { size: 2 },
+    });
+}
+
+test("worker systems write the shared columns of the main thread", async () => {
+    const world = sharedWorld();
+    try {
+        for (let i = 1; i <= 3; i++) world.registry.add(world.registry.create(), Body, ComponentSchema, [10, i]);
+        world.addWorkerSystem(new URL("./fixtures/gravity.js", import.meta.url), { name: "gravity", writes: [Body] });
+
+        await world.stepAsync(1);
+        assert.deepEqual([...world.registry.view(Body).each()].map(([, body]) => body.y), [9, 8, 7]);
+    } finally {
+        await world.terminate();
+    }
+});
+
+test("non conflicting worker systems run in the same batch", async () => {
+    const world = sharedWorld();
+    try {
+        const entity = world.registry.create();
+        world.registry.add(entity, Body, ComponentSchema, [0, 1]);
+        world.registry.add(entity, Heat, ComponentSchema, [0, 2]);
+
+        const module = new URL("./fixtures/gravity.js", import.meta.url);
+        world.addWorkerSystem(module, { name: "bodies", writes: [Body] });
+        world.addWorkerSystem(module, { name: "heat", writes: [Heat] });
+        world.addWorkerSystem(module, { name: "more", writes: [Body] });
+
+        assert.deepEqual(world.scheduler.batches(Phase.Update), [["bodies", "heat"], ["more"]]);
+        await world.stepAsync(1);
+        assert.equal(world.registry.get(entity, Body).y, -2);
+        assert.equal(world.registry.get(entity, Heat).y, -2);
+    } finally {
+        await world.terminate();
+    }
+});
+
+test("errors of worker systems reject the step", async () => {
+    const world = sharedWorld();
+    try {
+        world.registry.add(world.registry.create(), Body, ComponentSchema);
+        world.addWorkerSystem(new URL("./fixtures/failing.js", import.meta.url), { writes: [Body] });
+
+        await assert.rejects(world.stepAsync(1), /system failed/);
+    } finally {
+        await world.terminate();
+    }
+});
+
+test("worker systems need shared schema columns and stepAsync", async () => {
+    const world = new World();
+    world.registry.add(world.registry.create(), Body, ComponentSchema);
+    world.addWorkerSystem(new URL("./fixtures/gravity.js", import.meta.url), { writes: [Body] });
+
+    assert.throws(() => world.step(1), /stepAsync/);
+    await assert.rejects(world.stepAsync(1), /shared columns/);
+    assert.throws(() => world.addWorkerSystem("file:///none.js", {}), /must declare/);
+});
+
+test("a worker exiting rejects its task and the next task gets a new worker", async () => {
+    const world = sharedWorld();
+    try {
+        world.registry.add(world.registry.create(), Body, ComponentSchema, [10, 1]);
+        world.addWorkerSystem(new URL("./fixtures/exiting.js", import.meta.url), { name: "exiting", writes: [Body] });
+
+        await assert.rejects(world.stepAsync(1), /Worker exited with code 3/);
+
+        world.scheduler.remove("exiting");
+        world.addWorkerSystem(new URL("./fixtures/gravity.js", import.meta.url), { writes: [Body] });
+        await world.stepAsync(1);
+        assert.equal([...world.registry.view(Body).each()][0][1].y, 9);
+    } finally {
+        await world.terminate();
+    }
+});
+
+test("the core entry point does not load the worker threads", () => {
+    const index = new URL("../src/index.js", import.meta.url).href;
+    const script = `await import(${JSON.stringify(index)});
+        process.stdout.write(JSON.stringify(process.moduleLoadList.filter((m) => /worker_threads|NativeModule os$/.test(m))));`;
+
+    const loaded = execFileSync(process.execPath, ["--input-type=module", "-e", script], { encoding: "utf8", timeout: 10000 });
+    assert.deepEqual(JSON.parse(loaded), []);
+});
@@ -0,0 +1,47 @@
+// @ts-check
+
+/**
+ * @class
+ * @classdesc Position component used by the tests
+ */
+export class Pos {
+    /**
+     * Costrutor for the component
+     * @param {number} [x] X coordinate
+     * @param {number} [y] Y coordinate
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+/**
+ * @class
+ * @classdesc Velocity component used by the tests
+ */
+export class Vel {
+    /**
+     * Costrutor for the component
+     * @param {number} [dx] X speed
+     * @param {number} [dy] Y speed
+     */
+    constructor(dx = 0, dy = 0) {
+        this.dx = dx;
+        this.dy = dy;
+    }
+}
+
+/**
+ * @class
+ * @classdesc Marker component used by the tests
+ */
+export class Tag {}
+
+/**
+ * @class
+ * @classdesc Schema component used by the tests
+ */
+export class Body {
+    static schema = { mass: "f32", id: "u32" };
+}
@@ -0,0 +1,10 @@
+// @ts-check
+
+import process from "node:process";
+
+/**
+ * Worker system which ends its thread without replying
+ */
+export default function exiting() {
+    process.exit(3);
+}
@@ -0,0 +1,9 @@
+// @ts-check
+
+/**
+ * Worker system which always throws
+ * @throws {Error} Always
+ */
+export default function failing() {
+    throw new Error("system failed");
+}
@@ -0,0 +1,14 @@
+// @ts-check
+
+/** @import {WorkerView} from "../../src/ecs/WorkerPool.js" */
+
+/**
+ * Worker system pulling the y of every component of the views down by its mass times the dt
+ * @param {Record<string, WorkerView>} views The views of the declared components
+ * @param {number} dt Time step
+ */
+export default function gravity(views, dt) {
+    for (const { columns, len } of Object.values(views)) {
+        for (let i = 0; i < len; i++) columns.y[i] -= columns.mass[i] * dt;
+    }
+}